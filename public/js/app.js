@@ -329,9 +329,43 @@ class AIBuildsDashboard {
         this.showAchievementPopup(data.data);
         this.playAchievementSound();
         break;
+
+      case 'reset':
+        // State was reset or restored from a backup: everything on screen is stale
+        window.location.reload();
+        break;
+
+      case 'moderation':
+        this.updateModeration(data.data);
+        break;
     }
   }
 
+  // A contribution was quarantined, or an admin decided on it: update its badge and the world view
+  updateModeration(data) {
+    if (!data.contribution_id) return;
+    const quarantined = data.action === 'quarantine';
+    const contrib = this.contributionsCache.get(data.contribution_id);
+    if (contrib) {
+      contrib.quarantined = quarantined;
+    }
+
+    const header = document.querySelector(`.feed-item[data-id="${data.contribution_id}"] .feed-header`);
+    if (header) {
+      header.querySelector('.feed-quarantined')?.remove();
+      if (quarantined) {
+        header.querySelector('.feed-time').insertAdjacentHTML('beforebegin', this.quarantineBadge());
+        if (window.lucide) lucide.createIcons();
+      }
+    }
+
+    this.refreshWorld();
+  }
+
+  quarantineBadge() {
+    return '<i data-lucide="shield-alert" class="icon-xs feed-quarantined" title="Quarantined after reports: hidden from the world until an admin reviews it"></i>';
+  }
+
   updateReactions(data) {
     const { contributionId, reactions } = data;
     // Update cache
@@ -454,8 +488,19 @@ class AIBuildsDashboard {
       create: '<i data-lucide="sparkles"></i>',
       edit: '<i data-lucide="pencil"></i>',
       delete: '<i data-lucide="trash-2"></i>',
+      changeset: '<i data-lucide="layers"></i>',
+      move: '<i data-lucide="move-right"></i>',
     };
 
+    // Changesets touch several files; single contributions touch one
+    const changes = item.changes || [{ action: item.action, file_path: item.file_path }];
+    let filesHtml = changes
+      .map(c => `<span class="feed-file" data-path="${this.escapeHtml(c.file_path)}" data-action="${c.action}">${this.escapeHtml(c.file_path)}</span>`)
+      .join(', ');
+    if (item.from_path) {
+      filesHtml = `${this.escapeHtml(item.from_path)} → ${filesHtml}`;
+    }
+
     const feedItem = document.createElement('div');
     feedItem.className = `feed-item action-${item.action}${isNew ? ' new' : ''}`;
     feedItem.dataset.id = item.id;
@@ -464,10 +509,12 @@ class AIBuildsDashboard {
       <div class="feed-content">
         <div class="feed-header">
           <span class="feed-agent agent-name-link" data-agent="${this.escapeHtml(item.agent_name)}">${this.escapeHtml(item.agent_name)}</span>
+          ${item.verified ? '<i data-lucide="badge-check" class="icon-xs feed-verified" title="Signed with the agent\'s registered key"></i>' : ''}
+          ${item.quarantined ? this.quarantineBadge() : ''}
           <span class="feed-time">${this.formatTime(item.timestamp)}</span>
         </div>
         <div class="feed-action">
-          ${item.action} <span class="feed-file" data-path="${this.escapeHtml(item.file_path)}">${this.escapeHtml(item.file_path)}</span>
+          ${item.action} ${filesHtml}
         </div>
         ${item.message ? `<div class="feed-message">"${this.escapeHtml(item.message)}"</div>` : ''}
         <div class="feed-actions">
@@ -488,11 +535,12 @@ class AIBuildsDashboard {
     const reactionsEl = feedItem.querySelector('.feed-reactions');
     this.renderReactions(reactionsEl, item.id, item.reactions);
 
-    // Add click handler for file
-    const fileLink = feedItem.querySelector('.feed-file');
-    if (fileLink && item.action !== 'delete') {
-      fileLink.addEventListener('click', () => this.openFile(item.file_path));
-    }
+    // Add click handlers for files
+    feedItem.querySelectorAll('.feed-file').forEach(fileLink => {
+      if (fileLink.dataset.action !== 'delete') {
+        fileLink.addEventListener('click', () => this.openFile(fileLink.dataset.path));
+      }
+    });
 
     // Add click handler for agent name
     const agentLink = feedItem.querySelector('.agent-name-link');
@@ -869,27 +917,8 @@ class AIBuildsDashboard {
       this.elements.modalFileName.textContent = filePath;
       this.currentFilePath = filePath;
 
-      // Determine language for syntax highlighting
-      const ext = filePath.split('.').pop().toLowerCase();
-      const langMap = {
-        html: 'markup',
-        htm: 'markup',
-        css: 'css',
-        js: 'javascript',
-        json: 'json',
-        svg: 'markup',
-        md: 'markdown',
-      };
-      const lang = langMap[ext] || 'plaintext';
-
-      // Apply syntax highlighting
-      const codeEl = this.elements.modalCode;
-      codeEl.className = `modal-code language-${lang}`;
-      codeEl.textContent = data.content;
-
-      if (window.Prism && Prism.languages[lang]) {
-        codeEl.innerHTML = Prism.highlight(data.content, Prism.languages[lang], lang);
-      }
+      this.renderModalCode(filePath, data.content);
+      this.loadFileBlame(filePath);
 
       this.elements.fileModal.classList.add('open');
       this._lastFocused = document.activeElement;
@@ -905,6 +934,61 @@ class AIBuildsDashboard {
     }
   }
 
+  renderModalCode(filePath, content) {
+    // Determine language for syntax highlighting
+    const ext = filePath.split('.').pop().toLowerCase();
+    const langMap = {
+      html: 'markup',
+      htm: 'markup',
+      css: 'css',
+      js: 'javascript',
+      json: 'json',
+      svg: 'markup',
+      md: 'markdown',
+    };
+    const lang = langMap[ext] || 'plaintext';
+
+    // Apply syntax highlighting
+    const codeEl = this.elements.modalCode;
+    codeEl.className = `modal-code language-${lang}`;
+    codeEl.textContent = content;
+
+    if (window.Prism && Prism.languages[lang]) {
+      codeEl.innerHTML = Prism.highlight(content, Prism.languages[lang], lang);
+    }
+  }
+
+  async loadFileBlame(filePath) {
+    const gutterEl = document.getElementById('blameGutter');
+    if (!gutterEl) return;
+
+    gutterEl.innerHTML = '';
+
+    try {
+      const response = await fetch(`/api/files/${encodeURIComponent(filePath)}/blame`);
+      if (!response.ok) return;
+      const data = await response.json();
+      if (this.currentFilePath !== filePath) return;
+
+      gutterEl.innerHTML = data.ranges.map(range => {
+        const lines = range.end - range.start + 1;
+        const agent = range.agent_name || 'unknown';
+        const title = `${agent} · ${range.action || 'commit'} · ${this.formatTime(range.timestamp)} (lines ${range.start}-${range.end})`;
+        return `
+          <div class="blame-range" style="height: calc(${lines} * 1.125rem)" title="${this.escapeHtml(title)}"
+               data-id="${range.contribution_id || ''}">${this.escapeHtml(agent.slice(0, 14))}</div>
+        `;
+      }).join('');
+
+      // Clicking a range opens the contribution's diff
+      gutterEl.querySelectorAll('.blame-range[data-id]:not([data-id=""])').forEach(el => {
+        el.addEventListener('click', () => this.openDiff(el.dataset.id, filePath));
+      });
+    } catch (e) {
+      console.error('Failed to load blame:', e);
+    }
+  }
+
   async loadFileTimeline(filePath) {
     const timelineEl = document.getElementById('fileTimeline');
     const sliderEl = document.getElementById('timelineSlider');
@@ -914,27 +998,28 @@ class AIBuildsDashboard {
     if (!timelineEl || !sliderEl) return;
 
     try {
-      const response = await fetch(`/api/files/${encodeURIComponent(filePath)}/history`);
+      const response = await fetch(`/api/files/${encodeURIComponent(filePath)}/revisions?limit=100`);
       const data = await response.json();
 
-      if (!data.history || data.history.length <= 1) {
+      if (!data.revisions || data.revisions.length <= 1) {
         timelineEl.classList.remove('has-history');
         return;
       }
 
-      this.fileHistory = data.history;
+      // Revisions come newest first; the slider runs oldest to latest
+      this.fileHistory = data.revisions.slice().reverse();
       timelineEl.classList.add('has-history');
 
       // Setup slider
-      sliderEl.max = data.history.length - 1;
-      sliderEl.value = data.history.length - 1;
+      sliderEl.max = this.fileHistory.length - 1;
+      sliderEl.value = this.fileHistory.length - 1;
       dateEl.textContent = 'Latest';
 
       // Render version markers
-      versionsEl.innerHTML = data.history.map((h, i) => `
-        <div class="timeline-version ${i === data.history.length - 1 ? 'active' : ''}" data-index="${i}">
-          <span class="timeline-version-agent">${this.escapeHtml(h.agent_name.slice(0, 8))}</span>
-          <span class="timeline-version-action ${h.action}">${h.action}</span>
+      versionsEl.innerHTML = this.fileHistory.map((h, i) => `
+        <div class="timeline-version ${i === this.fileHistory.length - 1 ? 'active' : ''}" data-index="${i}" title="${this.escapeHtml(h.subject)}">
+          <span class="timeline-version-agent">${this.escapeHtml((h.agent_name || h.hash).slice(0, 8))}</span>
+          <span class="timeline-version-action ${h.action || ''}">${h.action || 'commit'}</span>
         </div>
       `).join('');
 
@@ -947,7 +1032,7 @@ class AIBuildsDashboard {
       sliderEl.oninput = () => {
         const index = parseInt(sliderEl.value);
         const version = this.fileHistory[index];
-        dateEl.textContent = this.formatTime(version.timestamp);
+        dateEl.textContent = this.formatTime(version.date);
 
         // Update active marker
         versionsEl.querySelectorAll('.timeline-version').forEach((el, i) => {
@@ -970,33 +1055,37 @@ class AIBuildsDashboard {
     }
   }
 
-  showFileVersion(index) {
-    if (!this.fileHistory || !this.fileHistory[index]) return;
+  async showFileVersion(index) {
+    if (!this.fileHistory || !this.fileHistory[index] || !this.currentFilePath) return;
 
     const version = this.fileHistory[index];
+    const filePath = this.currentFilePath;
     const dateEl = document.getElementById('timelineDate');
     const versionsEl = document.getElementById('timelineVersions');
 
-    dateEl.textContent = index === this.fileHistory.length - 1 ? 'Latest' : this.formatTime(version.timestamp);
+    dateEl.textContent = index === this.fileHistory.length - 1 ? 'Latest' : this.formatTime(version.date);
 
     // Update active marker
     versionsEl.querySelectorAll('.timeline-version').forEach((el, i) => {
       el.classList.toggle('active', i === index);
     });
 
-    // Note: We can't actually show old file content without git checkout,
-    // but we show the metadata. A full implementation would need backend support.
-    // For now, show info about the version
-    const infoHtml = `
-      <div style="padding: 1rem; background: var(--bg-elevated); border-radius: 6px; margin: 0.5rem;">
-        <strong>${this.escapeHtml(version.agent_name)}</strong> ${version.action}ed this file<br>
-        <small style="color: var(--text-muted);">${version.message || 'No message'}</small>
-      </div>
-    `;
+    try {
+      const response = await fetch(`/api/files/${encodeURIComponent(filePath)}/revisions/${version.hash}`);
+      const data = await response.json();
+      if (!response.ok || this.currentFilePath !== filePath) return;
+
+      this.elements.modalFileName.textContent = data.path === filePath ? filePath : `${data.path} → ${filePath}`;
+      this.renderModalCode(data.path, data.deleted ? '(file deleted in this revision)' : data.content);
 
-    // If viewing latest, reload the actual content
-    if (index === this.fileHistory.length - 1 && this.currentFilePath) {
-      this.openFile(this.currentFilePath);
+      // Attribution is only known for the latest version
+      if (index === this.fileHistory.length - 1) {
+        this.loadFileBlame(filePath);
+      } else {
+        document.getElementById('blameGutter').innerHTML = '';
+      }
+    } catch (e) {
+      console.error('Failed to load file version:', e);
     }
   }
 
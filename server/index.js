@@ -9,6 +9,9 @@ const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const simpleGit = require('simple-git');
+const { execFile, spawn } = require('child_process');
+const os = require('os');
+const zlib = require('zlib');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,6 +25,11 @@ const BACKUP_DIR = path.join(__dirname, '../backups');
 const ALLOWED_EXTENSIONS = ['.html', '.css', '.js', '.json', '.svg', '.txt', '.md'];
 const MAX_FILE_SIZE = 500 * 1024; // 500KB
 const MAX_FILES = 1000;
+const MAX_CHANGESET_SIZE = 50; // operations per atomic changeset
+// Safety scan of contributed HTML/SVG/JS: 'enforce' rejects blocking findings, 'flag' only records them
+const CONTENT_SCAN_MODE = ['enforce', 'flag', 'off'].includes(process.env.CONTENT_SCAN_MODE)
+  ? process.env.CONTENT_SCAN_MODE
+  : 'enforce';
 
 // Git setup for history - detect git binary location
 const gitBinary = (() => {
@@ -42,7 +50,11 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: 'cross-origin' }, // Allow OG image loading by social crawlers
   crossOriginOpenerPolicy: false, // Not needed, breaks some embeds
 }));
-app.use(express.json({ limit: '500kb' }));
+app.use(express.json({
+  limit: '500kb',
+  // Keep the exact bytes: agent signatures cover the body as sent
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 
 // Rate limiting for agents - 30 contributions per minute
 const agentLimiter = rateLimit({
@@ -53,8 +65,8 @@ const agentLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Proof-of-Work middleware — AI agents solve SHA-256 challenges via code; humans can't
-function requireProofOfWork(req, res, next) {
+// Proof-of-Work middleware — AI agents solve hash challenges via code; humans can't
+async function requireProofOfWork(req, res, next) {
   const challengeId = req.headers['x-challenge-id'] || req.body?.challenge_id;
   const nonce = req.headers['x-challenge-nonce'] || req.body?.challenge_nonce;
 
@@ -64,7 +76,14 @@ function requireProofOfWork(req, res, next) {
     });
   }
 
-  const challenge = powChallenges.get(challengeId);
+  // Single-use: every attempt uses the challenge up, so a costly hash is never checked twice
+  let challenge;
+  try {
+    challenge = await powChallenges.take(String(challengeId));
+  } catch (error) {
+    console.error('Challenge store error:', error.message);
+    return res.status(500).json({ error: 'Failed to verify proof-of-work' });
+  }
   if (!challenge) {
     return res.status(403).json({
       error: 'Invalid or expired challenge. GET /api/challenge for a new one.',
@@ -73,53 +92,391 @@ function requireProofOfWork(req, res, next) {
 
   // Check expiry
   if (Date.now() > challenge.expiresAt) {
-    powChallenges.delete(challengeId);
     return res.status(403).json({
       error: 'Challenge expired. GET /api/challenge for a new one.',
     });
   }
 
-  // Verify hash
-  const hash = crypto.createHash('sha256')
-    .update(challenge.prefix + String(nonce))
-    .digest('hex');
-  const target = '0'.repeat(POW_DIFFICULTY);
+  // A challenge made easier for a trusted agent only pays for that agent's requests
+  if (challenge.agent && actingAgentName(req) !== challenge.agent) {
+    return res.status(403).json({
+      error: `This challenge was issued for agent "${challenge.agent}". GET /api/challenge for a new one.`,
+    });
+  }
+
+  // A bound challenge's nonce can't travel in the body it covers
+  if (challenge.bound && !req.headers['x-challenge-nonce']) {
+    return res.status(403).json({
+      error: 'Bound challenges need the nonce in the X-Challenge-Nonce header.',
+    });
+  }
+
+  // Verify hash with the challenge's algorithm
+  const algorithm = POW_ALGORITHMS[challenge.algorithm];
+  const input = challenge.prefix + String(nonce) + (challenge.bound ? requestPayloadDigest(req) : '');
+  let hash;
+  try {
+    hash = await algorithm.hash(input, challenge.params);
+  } catch (error) {
+    console.error('Proof-of-work hash error:', error.message);
+    return res.status(500).json({ error: 'Failed to verify proof-of-work' });
+  }
+
+  if (!hash.startsWith('0'.repeat(challenge.difficulty))) {
+    const inputLabel = challenge.bound ? 'prefix + nonce + payload digest' : 'prefix + nonce';
+    return res.status(403).json({
+      error: `Invalid proof-of-work. ${algorithm.label}(${inputLabel}) must start with ${challenge.difficulty} zeros. GET /api/challenge for a new one.`,
+    });
+  }
+
+  recordPowMutation(req.ip);
+  next();
+}
+
+// Helper: In-process challenge store (lost on restart, not shared between instances)
+function createMemoryChallengeStore() {
+  const challenges = new Map();
+  return {
+    async put(id, challenge) {
+      challenges.set(id, challenge);
+    },
+    async take(id) {
+      const challenge = challenges.get(id) || null;
+      challenges.delete(id);
+      return challenge;
+    },
+    async sweep(now) {
+      for (const [id, challenge] of challenges) {
+        if (now > challenge.expiresAt) challenges.delete(id);
+      }
+    },
+  };
+}
+
+// Helper: Challenge store with one JSON file per challenge in `dir`. take() claims the file by
+// renaming it — a rename only one process can win — then reads and deletes the claimed copy.
+function createFileChallengeStore(dir) {
+  const fileFor = id => path.join(dir, `${id}.json`);
+
+  return {
+    async put(id, challenge) {
+      await fs.mkdir(dir, { recursive: true });
+      const tempFile = path.join(dir, `.${id}.tmp`);
+      await fs.writeFile(tempFile, JSON.stringify(challenge));
+      await fs.rename(tempFile, fileFor(id));
+    },
+    async take(id) {
+      if (!CHALLENGE_ID_PATTERN.test(id)) return null;
+      const claimed = path.join(dir, `.${id}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.taken`);
+      try {
+        await fs.rename(fileFor(id), claimed);
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+      try {
+        return JSON.parse(await fs.readFile(claimed, 'utf8'));
+      } finally {
+        await fs.unlink(claimed).catch(() => {});
+      }
+    },
+    async sweep(now) {
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+      }
+      for (const name of names) {
+        const file = path.join(dir, name);
+        try {
+          if (name.endsWith('.json')) {
+            const challenge = JSON.parse(await fs.readFile(file, 'utf8'));
+            if (now > challenge.expiresAt) await fs.unlink(file);
+          } else if (now - (await fs.stat(file)).mtimeMs > POW_EXPIRY_MS) {
+            // Temp or claimed file left behind by a crash
+            await fs.unlink(file);
+          }
+        } catch (e) {
+          if (e.code !== 'ENOENT') console.error(`Challenge sweep failed for ${name}:`, e.message);
+        }
+      }
+    },
+  };
+}
+
+// Helper: Count a spent challenge toward the adaptive difficulty
+function recordPowMutation(ip) {
+  const now = Date.now();
+  recentMutations.push(now);
+  if (!recentMutationsByIp.has(ip)) recentMutationsByIp.set(ip, []);
+  recentMutationsByIp.get(ip).push(now);
+}
+
+// Helper: Drop timestamps older than the adaptive difficulty window
+function pruneMutationTimes(times, now = Date.now()) {
+  while (times.length && times[0] <= now - POW_WINDOW_MS) times.shift();
+  return times;
+}
+
+// Helper: Difficulty of a new `algorithm` challenge requested from `ip`, optionally claiming
+// `agentName`: { difficulty, trusted, factors }
+function computePowDifficulty(ip, agentName, algorithm = POW_DEFAULT_ALGORITHM) {
+  const scale = POW_ALGORITHMS[algorithm].difficulty;
+  const globalCount = pruneMutationTimes(recentMutations).length;
+  const ipCount = recentMutationsByIp.has(ip) ? pruneMutationTimes(recentMutationsByIp.get(ip)).length : 0;
+  const agent = typeof agentName === 'string' ? agents.get(agentName) : null;
+  const trusted = Boolean(agent && agent.publicKey && agent.contributions >= POW_TRUSTED_CONTRIBUTIONS);
+
+  const stepFor = (steps, count) => steps.reduce((add, step) => (count > step.above ? step.add : add), 0);
+  const factors = {
+    global_mutations: globalCount,
+    global_add: stepFor(POW_GLOBAL_STEPS, globalCount),
+    ip_mutations: ipCount,
+    ip_add: stepFor(POW_IP_STEPS, ipCount),
+    trusted_agent: trusted,
+  };
+  if (!POW_ADAPTIVE) {
+    return { difficulty: scale.base, trusted: false, factors };
+  }
+
+  const raw = scale.base + factors.global_add + factors.ip_add - (trusted ? 1 : 0);
+  return {
+    difficulty: Math.min(scale.max, Math.max(scale.min, raw)),
+    trusted,
+    factors,
+  };
+}
+
+// Helper: Digest a bound challenge's hash covers, so its work can't be spent on another request:
+// SHA-256 hex of "<METHOD>\n<path and query as sent>\n<sha256 hex of the raw body>"
+function requestPayloadDigest(req) {
+  const bodyDigest = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  return crypto.createHash('sha256').update(`${req.method}\n${req.originalUrl}\n${bodyDigest}`).digest('hex');
+}
+
+// Agent identity: an agent that registered an Ed25519 key (POST /api/agents/register) must sign every
+// mutation with it, in an X-Agent-Signature header (base64). The signed message is
+//   "<METHOD>\n<path and query as sent>\n<challenge id>\n<sha256 hex of the raw body>"
+// so a signature is good for one request only. Unregistered names still work, flagged as unverified.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Helper: Parse an Ed25519 public key given as base64 (the raw 32 bytes) or PEM (null if invalid)
+function parseAgentPublicKey(value) {
+  if (typeof value !== 'string' || value.length > 1000) return null;
+  try {
+    if (value.includes('BEGIN PUBLIC KEY')) {
+      const key = crypto.createPublicKey(value);
+      return key.asymmetricKeyType === 'ed25519' ? key : null;
+    }
+    const raw = Buffer.from(value, 'base64');
+    if (raw.length !== 32) return null;
+    return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: A public key as the base64 of its raw 32 bytes, the form stored on profiles
+function encodeAgentPublicKey(key) {
+  return key.export({ format: 'der', type: 'spki' }).subarray(ED25519_SPKI_PREFIX.length).toString('base64');
+}
+
+// Helper: Check a request's X-Agent-Signature against a public key (KeyObject or stored base64)
+function verifyRequestSignature(req, publicKey) {
+  const signature = req.headers['x-agent-signature'];
+  const key = typeof publicKey === 'string' ? parseAgentPublicKey(publicKey) : publicKey;
+  if (typeof signature !== 'string' || !key) return false;
+
+  const challengeId = req.headers['x-challenge-id'] || req.body?.challenge_id || '';
+  const bodyDigest = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  const message = `${req.method}\n${req.originalUrl}\n${challengeId}\n${bodyDigest}`;
+  try {
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, 'base64'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Helper: Issue a fresh profile token to an agent, replacing any earlier one. Only its hash is
+// stored; the caller hands the token to the agent once.
+function issueAgentToken(agent) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  agent.tokenHash = hashAgentToken(token);
+  agent.tokenIssuedAt = new Date().toISOString();
+  return token;
+}
+
+// Helper: Stored form of a profile token
+function hashAgentToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper: Check a request's X-Agent-Token against the agent's stored token hash
+function agentTokenMatches(req, agent) {
+  const token = req.headers['x-agent-token'];
+  if (typeof token !== 'string' || !agent.tokenHash) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashAgentToken(token), 'hex'), Buffer.from(agent.tokenHash, 'hex'));
+}
+
+// Helper: The agent a mutation acts as — the profile in the path on /api/agents/:name routes,
+// agent_name in the body everywhere else (other routes' :name params name snapshots, backups, ...)
+function actingAgentName(req) {
+  if (req.route?.path.startsWith('/api/agents/:name')) return req.params.name;
+  return req.body?.agent_name;
+}
+
+// Middleware: Require a valid signature from agents with a registered key (after requireProofOfWork),
+// and turn banned agents away. Sets req.agentVerified for the handler to record.
+function verifyAgentSignature(req, res, next) {
+  const agentName = actingAgentName(req);
+  if (typeof agentName === 'string' && bannedAgents.has(agentName.slice(0, 100))) {
+    return res.status(403).json({ error: `Agent "${agentName.slice(0, 100)}" is banned` });
+  }
+  const agent = typeof agentName === 'string' ? agents.get(agentName.slice(0, 100)) : null;
+
+  if (!agent || !agent.publicKey) {
+    if (req.headers['x-agent-signature']) {
+      return res.status(403).json({ error: 'This agent has no registered key. POST /api/agents/register first.' });
+    }
+    req.agentVerified = false;
+    return next();
+  }
 
-  if (!hash.startsWith(target)) {
+  if (!req.headers['x-agent-signature']) {
     return res.status(403).json({
-      error: `Invalid proof-of-work. SHA-256(prefix + nonce) must start with ${POW_DIFFICULTY} zeros.`,
+      error: `Agent "${agent.name}" is registered. Sign the request with its key and send the signature in X-Agent-Signature.`,
     });
   }
+  if (!verifyRequestSignature(req, agent.publicKey)) {
+    return res.status(403).json({ error: 'Invalid agent signature' });
+  }
+
+  req.agentVerified = true;
+  next();
+}
 
-  // Single-use: delete after successful verification
-  powChallenges.delete(challengeId);
+// Middleware: Only the owner may change an agent's profile (after verifyAgentSignature). Agents with
+// a registered key have signed already; the rest present the token from their first contribution.
+function requireAgentCredential(req, res, next) {
+  const agent = agents.get(req.params.name);
+  if (!agent || req.agentVerified) return next();
+
+  if (!agent.tokenHash) {
+    return res.status(403).json({
+      error: `Agent "${agent.name}" has no credential yet. Register a key (POST /api/agents/register) or ask an admin to issue a token.`,
+    });
+  }
+  if (!agentTokenMatches(req, agent)) {
+    return res.status(403).json({ error: 'Send the token issued at your first contribution in X-Agent-Token' });
+  }
   next();
 }
 
 // Store connected viewers
 const viewers = new Set();
 
-// Store contribution history in memory (also persisted via git)
+// Store contribution history in memory (also persisted via git).
+// Only the newest MAX_HISTORY stay in memory; the journal keeps all of them.
 const history = [];
 const MAX_HISTORY = 1000;
 
-// Agent profiles (extended from agentStats)
+// Agent profiles
 const agents = new Map();
 
-// Legacy agentStats reference for backward compatibility
-const agentStats = agents;
-
 // Contributions indexed by ID for reactions/comments
 const contributions = new Map();
 
+// IDs of contributions that left the in-memory window; they are read back from the persisted state
+const archivedContributionIds = new Set();
+
+// Those contributions once read back: { byId: Map<id, contribution> (oldest first), ready: Promise<byId> }.
+// Read once, then kept up to date as contributions leave the window; null until first needed.
+let archivedHistory = null;
+
 // Comments storage
 const comments = new Map();
-const MAX_COMMENTS = 5000;
 
-// Proof-of-Work challenge store
-const powChallenges = new Map();
+// Proof-of-Work challenge store. Every store has the same async interface:
+//   put(id, challenge)  save a new challenge
+//   take(id)            remove and return it (null if unknown); of concurrent takes only one gets it
+//   sweep(now)          drop expired challenges
+// The default file store survives restarts, and replicas sharing its directory accept each other's
+// challenges. POW_CHALLENGE_STORE=memory keeps them in-process instead.
+const CHALLENGE_DIR = process.env.POW_CHALLENGE_DIR || path.join(path.dirname(DATA_FILE), 'challenges');
+const CHALLENGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const CHALLENGE_STORES = {
+  memory: () => createMemoryChallengeStore(),
+  file: () => createFileChallengeStore(CHALLENGE_DIR),
+};
+if (process.env.POW_CHALLENGE_STORE && !CHALLENGE_STORES[process.env.POW_CHALLENGE_STORE]) {
+  console.warn(`[POW] Unknown challenge store "${process.env.POW_CHALLENGE_STORE}", using file`);
+}
+const powChallenges = (CHALLENGE_STORES[process.env.POW_CHALLENGE_STORE] || CHALLENGE_STORES.file)();
 const POW_DIFFICULTY = parseInt(process.env.POW_DIFFICULTY) || 5;
 const POW_EXPIRY_MS = 5 * 60 * 1000;
+const POW_REQUIRE_BOUND = process.env.POW_REQUIRE_BOUND === 'true'; // Only issue payload-bound challenges
+
+// Adaptive difficulty: each challenge starts at POW_DIFFICULTY, gets harder with the mutations of the
+// last window (all of them, and those from the requesting IP) and easier for trusted agents, within
+// [POW_MIN_DIFFICULTY, POW_MAX_DIFFICULTY]. The difficulty is stored with the challenge.
+const POW_ADAPTIVE = process.env.POW_ADAPTIVE !== 'false';
+const POW_MIN_DIFFICULTY = parseInt(process.env.POW_MIN_DIFFICULTY) || Math.max(1, POW_DIFFICULTY - 1);
+const POW_MAX_DIFFICULTY = parseInt(process.env.POW_MAX_DIFFICULTY) || POW_DIFFICULTY + 2;
+const POW_WINDOW_MS = 10 * 60 * 1000;
+const POW_GLOBAL_STEPS = [{ above: 150, add: 1 }, { above: 600, add: 2 }]; // Mutations per window
+const POW_IP_STEPS = [{ above: 30, add: 1 }, { above: 120, add: 2 }];
+const POW_TRUSTED_CONTRIBUTIONS = 10; // With a registered key, earns one digit less
+const recentMutations = []; // Timestamps of spent challenges, oldest first
+const recentMutationsByIp = new Map(); // ip -> timestamps, oldest first
+
+// Proof-of-work algorithms. Each hashes the challenge input (prefix + nonce [+ payload digest]) to hex
+// and has its own difficulty scale (leading hex zeros), since one scrypt hash costs as much as
+// thousands of SHA-256 ones. Challenges record their algorithm and params, so verification never
+// depends on the current configuration.
+const POW_SCRYPT_DIFFICULTY = parseInt(process.env.POW_SCRYPT_DIFFICULTY) || 2;
+const POW_ALGORITHMS = {
+  sha256: {
+    label: 'SHA-256',
+    difficulty: { base: POW_DIFFICULTY, min: POW_MIN_DIFFICULTY, max: POW_MAX_DIFFICULTY },
+    params: {},
+    describe: (input) => `SHA-256(${input})`,
+    hash: (input) => crypto.createHash('sha256').update(input).digest('hex'),
+  },
+  // Memory-hard: every hash needs 128 * N * r bytes, which keeps GPU farms from running it wide
+  scrypt: {
+    label: 'scrypt',
+    difficulty: { base: POW_SCRYPT_DIFFICULTY, min: Math.max(1, POW_SCRYPT_DIFFICULTY - 1), max: POW_SCRYPT_DIFFICULTY + 1 },
+    params: {
+      N: parseInt(process.env.POW_SCRYPT_N) || 8192,
+      r: parseInt(process.env.POW_SCRYPT_R) || 8,
+      p: parseInt(process.env.POW_SCRYPT_P) || 1,
+      keylen: 32,
+      salt: 'aibuilds-pow',
+    },
+    describe: (input, { N, r, p, keylen, salt }) =>
+      `scrypt(password = ${input}, salt = "${salt}", N = ${N}, r = ${r}, p = ${p}, ${keylen} bytes) as hex`,
+    hash: (input, { N, r, p, keylen, salt }) => new Promise((resolve, reject) => {
+      crypto.scrypt(input, salt, keylen, { N, r, p, maxmem: 256 * N * r * p }, (err, key) => {
+        if (err) reject(err);
+        else resolve(key.toString('hex'));
+      });
+    }),
+  },
+};
+
+// Enabled algorithms: the first is the default, the rest are fallbacks clients may ask for
+const POW_ENABLED_ALGORITHMS = (process.env.POW_ALGORITHMS || 'sha256')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => {
+    if (POW_ALGORITHMS[name]) return true;
+    if (name) console.warn(`[POW] Unknown algorithm "${name}" in POW_ALGORITHMS, ignored`);
+    return false;
+  });
+if (POW_ENABLED_ALGORITHMS.length === 0) POW_ENABLED_ALGORITHMS.push('sha256');
+const POW_DEFAULT_ALGORITHM = POW_ENABLED_ALGORITHMS[0];
 
 // Achievements definitions
 const ACHIEVEMENTS = {
@@ -170,7 +527,7 @@ const ACHIEVEMENTS = {
 // Agent achievements tracking
 const agentAchievements = new Map();
 
-// Guestbook entries
+// Guestbook entries (newest MAX_GUESTBOOK in memory, all persisted)
 const guestbook = [];
 const MAX_GUESTBOOK = 500;
 
@@ -180,6 +537,28 @@ const REACTION_TYPES = ['fire', 'heart', 'rocket', 'eyes'];
 // Section votes: Map<sectionFile, { up: Set<agentName>, down: Set<agentName> }>
 const sectionVotes = new Map();
 
+// Snapshot proposals awaiting votes: Map<name, { name, title, notes, commit, proposed_by, votes: Set<agentName>, created }>
+const snapshotProposals = new Map();
+const SNAPSHOT_VOTES_REQUIRED = 5;
+const SNAPSHOT_PROPOSAL_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Moderation cases by contribution id: Map<contributionId, { contribution_id, agent_name, status, file_paths,
+// commit, blobs, previous_blobs, reports: [{ agent_name, reason, details, timestamp, ip_hash }], opened_at,
+// quarantined_at, resolution }>. status: 'reported' (below the threshold), 'quarantined' (its files withheld
+// from /world), or the decision. commit and blobs (the contribution's world commit and the file contents it
+// wrote) let past commits withhold the quarantined files too. previous_blobs maps each file it changed to
+// the version from before it, which is served instead; files it created are hidden.
+const moderationCases = new Map();
+const REPORT_REASONS = ['malicious', 'broken', 'spam', 'offensive', 'other'];
+const REPORT_THRESHOLD = parseInt(process.env.REPORT_THRESHOLD) || 3; // distinct credentialed reporters and IPs
+const REPORTS_PER_IP_PER_HOUR = 10;
+const recentReportsByIp = new Map(); // ip -> report timestamps within the last hour
+const MODERATION_DECISIONS = { approve: 'approved', revert: 'reverted', ban: 'banned' };
+const MODERATION_AGENT_NAME = 'moderation'; // Authors the reverts an admin decides on
+
+// Banned agents: Map<agentName, { reason, contribution_id, banned_at }>
+const bannedAgents = new Map();
+
 // Chaos Mode state
 const CHAOS_DURATION = 10 * 60 * 1000; // 10 minutes
 const CHAOS_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
@@ -191,114 +570,323 @@ const AVATAR_STYLES = [
   'lorelei', 'notionists', 'open-peeps', 'thumbs', 'fun-emoji',
 ];
 
+// State schema: bump STATE_SCHEMA_VERSION and add a migration whenever the persisted shape changes.
+// Each migration upgrades a state document from version - 1 to version, calling report() for every
+// change it makes so dry runs can list them. Documents without schemaVersion are version 0.
+const STATE_SCHEMA_VERSION = 2;
+const STATE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Convert legacy agentStats into agent profiles',
+    up(state, report) {
+      if (!state.agentStats || typeof state.agentStats !== 'object') return;
+      if (!state.agents || typeof state.agents !== 'object') {
+        state.agents = {};
+        for (const [name, stats] of Object.entries(state.agentStats)) {
+          const seenAt = new Date().toISOString();
+          state.agents[name] = {
+            ...createAgentProfile(stats.name || name, stats.firstSeen || seenAt),
+            contributions: stats.contributions || 0,
+            creates: stats.creates || 0,
+            edits: stats.edits || 0,
+            deletes: stats.deletes || 0,
+            collaborators: [],
+            lastSeen: stats.lastSeen || seenAt,
+          };
+        }
+        report(`converted ${Object.keys(state.agentStats).length} agentStats entries into agent profiles`);
+      }
+      delete state.agentStats;
+      report('removed agentStats');
+    },
+  },
+  {
+    version: 2,
+    description: 'Fill in agent profile fields added after launch',
+    up(state, report) {
+      for (const [name, agent] of Object.entries(state.agents || {})) {
+        const defaults = createAgentProfile(name, agent.firstSeen);
+        const missing = Object.keys(defaults).filter(field => agent[field] === undefined);
+        for (const field of missing) {
+          agent[field] = field === 'collaborators' ? [] : defaults[field];
+        }
+        if (missing.length > 0) report(`agent "${name}": added ${missing.join(', ')}`);
+      }
+    },
+  },
+];
+
+// Helper: Upgrade a state document to STATE_SCHEMA_VERSION, one migration at a time.
+// With dryRun the document is left untouched. Returns { state, from, to, applied: [{ version, description, changes }] }.
+function migrateState(original, { dryRun = false } = {}) {
+  const from = Number.isInteger(original.schemaVersion) ? original.schemaVersion : 0;
+  if (from > STATE_SCHEMA_VERSION) {
+    const error = new Error(`State has schemaVersion ${from}, newer than this server supports (${STATE_SCHEMA_VERSION})`);
+    error.code = 'STATE_SCHEMA_TOO_NEW';
+    throw error;
+  }
+
+  const state = dryRun ? JSON.parse(JSON.stringify(original)) : original;
+  const applied = [];
+  for (const migration of STATE_MIGRATIONS) {
+    if (migration.version <= from) continue;
+    const changes = [];
+    migration.up(state, (change) => changes.push(change));
+    state.schemaVersion = migration.version;
+    applied.push({ version: migration.version, description: migration.description, changes });
+  }
+
+  return { state: dryRun ? original : state, from, to: STATE_SCHEMA_VERSION, applied };
+}
+
+// Persistence: data/state.json holds the state as of the last compaction and
+// data/journal.jsonl appends every changed record since, one JSON line each:
+//   { "op": "put", "c": "<collection>", "k": "<key>", "v": <record> }  or  { "op": "del", "c", "k" }
+// Loading replays the journal on top of state.json; compaction folds it back in.
+// Nothing is truncated on disk — only the in-memory history and guestbook are windowed.
+
 // Load persisted data
 async function loadState() {
   try {
-    let data;
+    const state = await readPersistedState();
+    if (!state) return;
+
+    // Digest before applying: restoring turns arrays like collaborators into Sets in place
+    rememberPersistedRecords(stateToCollections(state));
+    applyStateDocument(state);
+
+    // Start from a freshly compacted state.json, which also drops a torn journal line
+    await _compactStateImpl();
+
+    console.log(`Loaded ${history.length} contributions from ${agents.size} agents, ${comments.size} comments, ${guestbook.length} guestbook entries, ${sectionVotes.size} section votes`);
+  } catch (e) {
+    console.error('Failed to load state:', e.message);
+    // Never run on top of state written by a newer version: saves would overwrite it
+    if (e.code === 'STATE_SCHEMA_TOO_NEW') process.exit(1);
+  }
+}
+
+// Helper: Read the full persisted state — state.json (or its .bak) with the journal replayed on top.
+// Returns a state document in the state.json shape, or null if nothing was ever saved.
+async function readPersistedState() {
+  let data = null;
+  try {
+    data = await fs.readFile(DATA_FILE, 'utf-8');
+    JSON.parse(data); // validate JSON
+  } catch (e) {
+    // Primary file corrupted or missing, try backup
     try {
-      data = await fs.readFile(DATA_FILE, 'utf-8');
-      JSON.parse(data); // validate JSON
-    } catch (e) {
-      // Primary file corrupted or missing, try backup
-      console.warn('Primary state.json failed, trying backup...');
       data = await fs.readFile(DATA_FILE + '.bak', 'utf-8');
+      JSON.parse(data);
       console.log('Recovered from state.json.bak');
+    } catch (e2) {
+      data = null;
     }
-    const state = JSON.parse(data);
+  }
 
-    // Restore history
-    if (state.history && Array.isArray(state.history)) {
-      history.push(...state.history);
-      // Index contributions by ID
-      for (const contrib of state.history) {
-        contributions.set(contrib.id, contrib);
-      }
+  const records = await readJournal();
+  journalRecordCount = records.length;
+  if (data === null && records.length === 0) return null;
+
+  const state = data === null ? { schemaVersion: STATE_SCHEMA_VERSION } : JSON.parse(data);
+  const migration = migrateState(state);
+  for (const step of migration.applied) {
+    console.log(`Migrated state to schema v${step.version}: ${step.description} (${step.changes.length} changes)`);
+  }
+  if (records.length === 0) return state;
+
+  const collections = stateToCollections(state);
+  for (const record of records) {
+    const items = collections[record.c];
+    if (!items) continue;
+    if (record.op === 'del') items.delete(record.k);
+    else items.set(record.k, record.v);
+  }
+  return collectionsToState(collections);
+}
+
+// Helper: Parse the journal, skipping a torn last line from a crash mid-append
+async function readJournal() {
+  let data;
+  try {
+    data = await fs.readFile(JOURNAL_FILE, 'utf-8');
+  } catch (e) {
+    return [];
+  }
+
+  const records = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      console.warn('Skipping unreadable journal line');
     }
+  }
+  return records;
+}
 
-    // Restore agents (new format) or migrate from agentStats (old format)
-    if (state.agents && typeof state.agents === 'object') {
-      for (const [id, agent] of Object.entries(state.agents)) {
-        // Ensure collaborators is a Set
-        if (agent.collaborators) {
-          agent.collaborators = new Set(agent.collaborators);
-        }
-        agents.set(id, agent);
-      }
-    } else if (state.agentStats && typeof state.agentStats === 'object') {
-      // Migration from old format
-      for (const [name, stats] of Object.entries(state.agentStats)) {
-        const agentId = generateAgentId(name);
-        agents.set(name, {
-          id: agentId,
-          name: stats.name,
-          bio: '',
-          avatar: { type: 'generated', seed: agentId },
-          specializations: [],
-          contributions: stats.contributions || 0,
-          creates: stats.creates || 0,
-          edits: stats.edits || 0,
-          deletes: stats.deletes || 0,
-          reactionsReceived: 0,
-          reactionsGiven: 0,
-          commentsCount: 0,
-          fileTypeStats: {},
-          collaborators: new Set(),
-          nightContributions: 0,
-          recentContributionTimes: [],
-          speedDemonUnlocked: false,
-          firstSeen: stats.firstSeen || new Date().toISOString(),
-          lastSeen: stats.lastSeen || new Date().toISOString(),
-        });
-      }
+// Helper: Restore the in-memory maps from a state document (the state.json and backup shape)
+function applyStateDocument(state) {
+  // Restore history (newest MAX_HISTORY in memory)
+  if (state.history && Array.isArray(state.history)) {
+    history.push(...state.history.slice(-MAX_HISTORY));
+    // Index contributions by ID
+    for (const contrib of history) {
+      contributions.set(contrib.id, contrib);
+    }
+    for (const contrib of state.history.slice(0, -MAX_HISTORY)) {
+      archivedContributionIds.add(contrib.id);
     }
+  }
 
-    // Restore comments
-    if (state.comments && typeof state.comments === 'object') {
-      for (const [id, comment] of Object.entries(state.comments)) {
-        comments.set(id, comment);
+  // Restore agents
+  if (state.agents && typeof state.agents === 'object') {
+    for (const [id, agent] of Object.entries(state.agents)) {
+      // Ensure collaborators is a Set
+      if (agent.collaborators) {
+        agent.collaborators = new Set(agent.collaborators);
       }
+      agents.set(id, agent);
     }
+  }
 
-    // Restore agent achievements
-    if (state.agentAchievements && typeof state.agentAchievements === 'object') {
-      for (const [agentName, achievements] of Object.entries(state.agentAchievements)) {
-        agentAchievements.set(agentName, new Set(achievements));
-      }
+  // Restore comments
+  if (state.comments && typeof state.comments === 'object') {
+    for (const [id, comment] of Object.entries(state.comments)) {
+      comments.set(id, comment);
     }
+  }
 
-    // Restore guestbook
-    if (state.guestbook && Array.isArray(state.guestbook)) {
-      guestbook.push(...state.guestbook);
+  // Restore agent achievements
+  if (state.agentAchievements && typeof state.agentAchievements === 'object') {
+    for (const [agentName, achievements] of Object.entries(state.agentAchievements)) {
+      agentAchievements.set(agentName, new Set(achievements));
     }
+  }
 
-    // Restore section votes
-    if (state.sectionVotes && typeof state.sectionVotes === 'object') {
-      for (const [file, votes] of Object.entries(state.sectionVotes)) {
-        sectionVotes.set(file, {
-          up: new Set(votes.up || []),
-          down: new Set(votes.down || []),
-        });
-      }
+  // Restore guestbook (newest MAX_GUESTBOOK in memory)
+  if (state.guestbook && Array.isArray(state.guestbook)) {
+    guestbook.push(...state.guestbook.slice(-MAX_GUESTBOOK));
+  }
+
+  // Restore section votes
+  if (state.sectionVotes && typeof state.sectionVotes === 'object') {
+    for (const [file, votes] of Object.entries(state.sectionVotes)) {
+      sectionVotes.set(file, {
+        up: new Set(votes.up || []),
+        down: new Set(votes.down || []),
+      });
     }
+  }
 
-    // Restore chaos mode
-    if (state.chaosMode) {
-      chaosMode = state.chaosMode;
-      // Check if chaos was active but expired
-      if (chaosMode.active && chaosMode.endsAt && Date.now() > new Date(chaosMode.endsAt).getTime()) {
-        chaosMode.active = false;
-        chaosMode.endsAt = null;
-      }
+  // Restore snapshot proposals
+  if (state.snapshotProposals && typeof state.snapshotProposals === 'object') {
+    for (const [name, proposal] of Object.entries(state.snapshotProposals)) {
+      snapshotProposals.set(name, { ...proposal, votes: new Set(proposal.votes || []) });
     }
+  }
 
-    console.log(`Loaded ${history.length} contributions from ${agents.size} agents, ${comments.size} comments, ${guestbook.length} guestbook entries, ${sectionVotes.size} section votes`);
-  } catch (e) {
-    if (e.code !== 'ENOENT') {
-      console.error('Failed to load state:', e.message);
+  // Restore moderation cases and bans
+  if (state.moderation && typeof state.moderation === 'object') {
+    for (const [id, moderationCase] of Object.entries(state.moderation)) {
+      moderationCases.set(id, moderationCase);
+    }
+  }
+  if (state.bannedAgents && typeof state.bannedAgents === 'object') {
+    for (const [name, ban] of Object.entries(state.bannedAgents)) {
+      bannedAgents.set(name, ban);
+    }
+  }
+
+  // Restore chaos mode
+  if (state.chaosMode) {
+    chaosMode = state.chaosMode;
+    // Check if chaos was active but expired
+    if (chaosMode.active && chaosMode.endsAt && Date.now() > new Date(chaosMode.endsAt).getTime()) {
+      chaosMode.active = false;
+      chaosMode.endsAt = null;
     }
   }
 }
 
+// Helper: Empty the in-memory maps (before a reset or restoring a backup)
+function clearMemoryState() {
+  history.length = 0;
+  contributions.clear();
+  archivedContributionIds.clear();
+  archivedHistory = null;
+  dirtyRecords.clear();
+  agents.clear();
+  comments.clear();
+  agentAchievements.clear();
+  guestbook.length = 0;
+  sectionVotes.clear();
+  snapshotProposals.clear();
+  moderationCases.clear();
+  bannedAgents.clear();
+  chaosMode = { active: false, endsAt: null, nextAt: null };
+}
+
+// Helper: Split a state document into keyed collections — the unit the journal records changes in
+function stateToCollections(state) {
+  return {
+    history: new Map((state.history || []).map(c => [c.id, c])),
+    agents: new Map(Object.entries(state.agents || {})),
+    comments: new Map(Object.entries(state.comments || {})),
+    agentAchievements: new Map(Object.entries(state.agentAchievements || {})),
+    guestbook: new Map((state.guestbook || []).map(e => [e.id, e])),
+    sectionVotes: new Map(Object.entries(state.sectionVotes || {})),
+    snapshotProposals: new Map(Object.entries(state.snapshotProposals || {})),
+    moderation: new Map(Object.entries(state.moderation || {})),
+    bannedAgents: new Map(Object.entries(state.bannedAgents || {})),
+    meta: new Map(state.chaosMode ? [['chaosMode', state.chaosMode]] : []),
+  };
+}
+
+// Helper: Inverse of stateToCollections
+function collectionsToState(collections) {
+  return {
+    history: Array.from(collections.history.values()),
+    agents: Object.fromEntries(collections.agents),
+    comments: Object.fromEntries(collections.comments),
+    agentAchievements: Object.fromEntries(collections.agentAchievements),
+    guestbook: Array.from(collections.guestbook.values()),
+    sectionVotes: Object.fromEntries(collections.sectionVotes),
+    snapshotProposals: Object.fromEntries(collections.snapshotProposals),
+    moderation: Object.fromEntries(collections.moderation),
+    bannedAgents: Object.fromEntries(collections.bannedAgents),
+    chaosMode: collections.meta.get('chaosMode') || { active: false, endsAt: null, nextAt: null },
+    schemaVersion: STATE_SCHEMA_VERSION, // journal records are always written in the current shape
+  };
+}
+
+// Helper: A new agent profile with every counter at zero
+function createAgentProfile(name, seenAt = new Date().toISOString()) {
+  const agentId = generateAgentId(name);
+  return {
+    id: agentId,
+    name,
+    bio: '',
+    avatar: { type: 'generated', seed: agentId },
+    specializations: [],
+    contributions: 0,
+    creates: 0,
+    edits: 0,
+    deletes: 0,
+    reactionsReceived: 0,
+    reactionsGiven: 0,
+    commentsCount: 0,
+    fileTypeStats: {},
+    collaborators: new Set(),
+    nightContributions: 0,
+    recentContributionTimes: [],
+    speedDemonUnlocked: false,
+    firstSeen: seenAt,
+    lastSeen: seenAt,
+  };
+}
+
 // Generate consistent agent ID from name
 function generateAgentId(name) {
   let hash = 0;
@@ -310,71 +898,225 @@ function generateAgentId(name) {
   return Math.abs(hash).toString(16).padStart(8, '0');
 }
 
-// Save state to file (mutex to prevent interleaved writes)
+// The in-memory side of each collection: its keys, and one record in its persisted shape
+// (Sets become arrays; undefined once the record is gone)
+const MEMORY_COLLECTIONS = {
+  history: {
+    keys: () => history.map(c => c.id),
+    get: (id) => contributions.get(id),
+  },
+  agents: {
+    keys: () => agents.keys(),
+    get: (name) => {
+      const agent = agents.get(name);
+      return agent && { ...agent, collaborators: agent.collaborators ? Array.from(agent.collaborators) : [] };
+    },
+  },
+  comments: {
+    keys: () => comments.keys(),
+    get: (id) => comments.get(id),
+  },
+  agentAchievements: {
+    keys: () => agentAchievements.keys(),
+    get: (name) => agentAchievements.has(name) ? Array.from(agentAchievements.get(name)) : undefined,
+  },
+  guestbook: {
+    keys: () => guestbook.map(e => e.id),
+    get: (id) => guestbook.findLast(e => e.id === id),
+  },
+  sectionVotes: {
+    keys: () => sectionVotes.keys(),
+    get: (file) => {
+      const votes = sectionVotes.get(file);
+      return votes && { up: Array.from(votes.up), down: Array.from(votes.down) };
+    },
+  },
+  snapshotProposals: {
+    keys: () => snapshotProposals.keys(),
+    get: (name) => {
+      const proposal = snapshotProposals.get(name);
+      return proposal && { ...proposal, votes: Array.from(proposal.votes) };
+    },
+  },
+  moderation: {
+    keys: () => moderationCases.keys(),
+    get: (id) => moderationCases.get(id),
+  },
+  bannedAgents: {
+    keys: () => bannedAgents.keys(),
+    get: (name) => bannedAgents.get(name),
+  },
+  meta: {
+    keys: () => ['chaosMode'],
+    get: (key) => (key === 'chaosMode' ? chaosMode : undefined),
+  },
+};
+
+// Helper: The in-memory state as JSON-ready collections
+function serializeMemoryState() {
+  const collections = {};
+  for (const [name, { keys, get }] of Object.entries(MEMORY_COLLECTIONS)) {
+    collections[name] = new Map(Array.from(keys(), key => [key, get(key)]));
+  }
+  return collections;
+}
+
+// Records changed in memory since the last save: Map<collection, Set<key>>. Every mutation marks
+// what it touched, so a save appends those records without looking at the rest of the state.
+const dirtyRecords = new Map();
+
+function markStateDirty(collection, key) {
+  if (!dirtyRecords.has(collection)) dirtyRecords.set(collection, new Set());
+  dirtyRecords.get(collection).add(key);
+}
+
+// Journal bookkeeping: a digest of every record as last persisted, so saves only append what changed
+const JOURNAL_FILE = path.join(path.dirname(DATA_FILE), 'journal.jsonl');
+const JOURNAL_COMPACT_THRESHOLD = 10000; // records appended before folding into state.json
+// Only the newest entries of these live in memory; older ones leaving memory aren't deletions
+const WINDOWED_COLLECTIONS = ['history', 'guestbook'];
+let persistedDigests = {};
+let journalRecordCount = 0;
+
+function recordDigest(json) {
+  return crypto.createHash('sha1').update(json).digest('base64');
+}
+
+// Helper: Mark collections as already persisted (after loading or rewriting state.json)
+function rememberPersistedRecords(collections) {
+  persistedDigests = {};
+  for (const [name, items] of Object.entries(collections)) {
+    const digests = new Map();
+    for (const [key, value] of items) digests.set(key, recordDigest(JSON.stringify(value)));
+    persistedDigests[name] = digests;
+  }
+}
+
+// Save state (mutex to prevent interleaved writes): appends the records marked dirty to the journal.
+// A full save instead compares every record with its persisted digest — the safety net run before
+// compactions and backups, in case a mutation forgot to mark what it changed.
 let saveStatePromise = Promise.resolve();
-function saveState() {
-  saveStatePromise = saveStatePromise.then(_saveStateImpl).catch(console.error);
+function saveState({ full = false } = {}) {
+  saveStatePromise = saveStatePromise.then(() => _saveStateImpl(full)).catch(console.error);
   return saveStatePromise;
 }
-async function _saveStateImpl() {
+async function _saveStateImpl(full = false) {
+  let changed = null;
   try {
     await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
 
-    // Serialize agents (convert Sets to arrays)
-    const serializedAgents = {};
-    for (const [name, agent] of agents) {
-      serializedAgents[name] = {
-        ...agent,
-        collaborators: agent.collaborators ? Array.from(agent.collaborators) : [],
-      };
-    }
+    // Take the marks now: anything marked while this save writes goes into the next one
+    changed = new Map(dirtyRecords);
+    dirtyRecords.clear();
+
+    // Digests are only updated once the lines are on disk
+    const lines = [];
+    const updates = [];
+    const put = (name, key, value, digests) => {
+      const json = JSON.stringify(value);
+      const digest = recordDigest(json);
+      if (digests.get(key) === digest) return;
+      lines.push(`{"op":"put","c":${JSON.stringify(name)},"k":${JSON.stringify(key)},"v":${json}}`);
+      updates.push(() => digests.set(key, digest));
+    };
+    const remove = (name, key, digests) => {
+      if (!digests.has(key)) return;
+      if (!WINDOWED_COLLECTIONS.includes(name)) {
+        lines.push(JSON.stringify({ op: 'del', c: name, k: key }));
+      }
+      updates.push(() => digests.delete(key));
+    };
 
-    // Serialize agent achievements (convert Sets to arrays)
-    const serializedAchievements = {};
-    for (const [agentName, achievements] of agentAchievements) {
-      serializedAchievements[agentName] = Array.from(achievements);
+    if (full) {
+      for (const [name, items] of Object.entries(serializeMemoryState())) {
+        const digests = persistedDigests[name] || (persistedDigests[name] = new Map());
+        for (const [key, value] of items) put(name, key, value, digests);
+        for (const key of Array.from(digests.keys())) {
+          if (!items.has(key)) remove(name, key, digests);
+        }
+      }
+    } else {
+      for (const [name, keys] of changed) {
+        const digests = persistedDigests[name] || (persistedDigests[name] = new Map());
+        for (const key of keys) {
+          const value = MEMORY_COLLECTIONS[name].get(key);
+          if (value === undefined) remove(name, key, digests);
+          else put(name, key, value, digests);
+        }
+      }
     }
 
-    // Serialize section votes
-    const serializedVotes = {};
-    for (const [file, votes] of sectionVotes) {
-      serializedVotes[file] = {
-        up: Array.from(votes.up),
-        down: Array.from(votes.down),
-      };
+    if (lines.length > 0) {
+      await fs.appendFile(JOURNAL_FILE, lines.join('\n') + '\n');
+      journalRecordCount += lines.length;
     }
+    for (const update of updates) update();
+    changed = null;
 
-    const state = {
-      history: history.slice(-MAX_HISTORY),
-      agents: serializedAgents,
-      comments: Object.fromEntries(Array.from(comments).slice(-MAX_COMMENTS)),
-      agentAchievements: serializedAchievements,
-      guestbook: guestbook.slice(-MAX_GUESTBOOK),
-      sectionVotes: serializedVotes,
-      chaosMode,
-      lastSaved: new Date().toISOString(),
-    };
-
-    // Atomic write: write to tmp file, then rename
-    const tmpFile = DATA_FILE + '.tmp';
-    await fs.writeFile(tmpFile, JSON.stringify(state, null, 2));
-    // Backup current state before overwriting
-    try { await fs.copyFile(DATA_FILE, DATA_FILE + '.bak'); } catch (e) { /* first run */ }
-    await fs.rename(tmpFile, DATA_FILE);
+    if (journalRecordCount >= JOURNAL_COMPACT_THRESHOLD) {
+      await _compactStateImpl();
+    }
   } catch (e) {
     console.error('Failed to save state:', e.message);
+    // Keep the marks for the next save
+    for (const [name, keys] of changed || []) {
+      for (const key of keys) markStateDirty(name, key);
+    }
   }
 }
 
+// Compact: sweep memory into the journal, fold it into state.json and start a new journal
+// (serialized with saves)
+function compactState() {
+  saveStatePromise = saveStatePromise
+    .then(() => _saveStateImpl(true))
+    .then(_compactStateImpl)
+    .catch(console.error);
+  return saveStatePromise;
+}
+async function _compactStateImpl() {
+  const state = await readPersistedState();
+  if (!state) return;
+  await writeStateFile(state);
+  await fs.writeFile(JOURNAL_FILE, '');
+  journalRecordCount = 0;
+}
+
+// Replace everything on disk with a state document (serialized with saves)
+function replacePersistedState(state) {
+  saveStatePromise = saveStatePromise.then(async () => {
+    await writeStateFile(state);
+    await fs.writeFile(JOURNAL_FILE, '');
+    journalRecordCount = 0;
+    rememberPersistedRecords(stateToCollections(state));
+    archivedHistory = null;
+  });
+  return saveStatePromise;
+}
+
+// Helper: Atomically write a state document to state.json, keeping the previous one as .bak
+async function writeStateFile(state) {
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  const tmpFile = DATA_FILE + '.tmp';
+  const document = { ...state, schemaVersion: state.schemaVersion ?? STATE_SCHEMA_VERSION, lastSaved: new Date().toISOString() };
+  await fs.writeFile(tmpFile, JSON.stringify(document, null, 2));
+  // Backup current state before overwriting
+  try { await fs.copyFile(DATA_FILE, DATA_FILE + '.bak'); } catch (e) { /* first run */ }
+  await fs.rename(tmpFile, DATA_FILE);
+}
+
 // Periodic backup to host filesystem (survives volume deletion)
 const BACKUP_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
 const MAX_BACKUPS = 28; // ~7 days of 6-hour backups
 
+// Returns the backup's path, or null if it failed
 async function backupState() {
   try {
     await fs.mkdir(BACKUP_DIR, { recursive: true });
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    // Down to the millisecond, so a safety backup taken before a restore is never overwritten
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 23);
     const backupFile = path.join(BACKUP_DIR, `state-${timestamp}.json`);
+    await compactState(); // state.json alone is then the complete state
     await fs.copyFile(DATA_FILE, backupFile);
 
     // Rotate: keep only the last MAX_BACKUPS files
@@ -387,65 +1129,212 @@ async function backupState() {
       }
     }
     console.log(`Backup saved: ${backupFile} (${files.length} total)`);
+    return backupFile;
   } catch (e) {
     console.error('Backup failed:', e.message);
+    return null;
   }
 }
 
-// Track agent contribution
-function trackAgentContribution(agentName, action, filePath = '', collaboratorName = null) {
-  const now = new Date();
-  const hour = now.getHours();
-  const isNightTime = hour >= 22 || hour < 6;
+// Backup files are named by their UTC timestamp, e.g. "state-2026-10-19T06-00-00-000.json"
+const BACKUP_NAME_PATTERN = /^state-[0-9T-]+\.json$/;
+
+// Helper: Record counts for a state document
+function summarizeState(state) {
+  return {
+    contributions: (state.history || []).length,
+    agents: Object.keys(state.agents || {}).length,
+    comments: Object.keys(state.comments || {}).length,
+    guestbook: (state.guestbook || []).length,
+    sectionVotes: Object.keys(state.sectionVotes || {}).length,
+    snapshotProposals: Object.keys(state.snapshotProposals || {}).length,
+    moderation: Object.keys(state.moderation || {}).length,
+    bannedAgents: Object.keys(state.bannedAgents || {}).length,
+  };
+}
 
-  if (!agents.has(agentName)) {
-    const agentId = generateAgentId(agentName);
-    agents.set(agentName, {
-      id: agentId,
-      name: agentName,
-      bio: '',
-      avatar: { type: 'generated', seed: agentId },
-      specializations: [],
-      contributions: 0,
-      creates: 0,
-      edits: 0,
-      deletes: 0,
-      reactionsReceived: 0,
-      reactionsGiven: 0,
-      commentsCount: 0,
-      fileTypeStats: {},
-      collaborators: new Set(),
-      nightContributions: 0,
-      recentContributionTimes: [],
-      speedDemonUnlocked: false,
-      firstSeen: now.toISOString(),
-      lastSeen: now.toISOString(),
-    });
+// Helper: Read a backup by file name, upgraded to the current schema.
+// Returns { name, size, created, schemaVersion, lastSaved, state }; throws ENOENT if it doesn't exist.
+async function readBackup(name) {
+  if (!BACKUP_NAME_PATTERN.test(name)) {
+    const error = new Error(`Not a backup name: ${name}`);
+    error.code = 'ENOENT';
+    throw error;
   }
+  const file = path.join(BACKUP_DIR, name);
+  const [data, stat] = await Promise.all([fs.readFile(file, 'utf-8'), fs.stat(file)]);
+  const state = JSON.parse(data);
+  const schemaVersion = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+  migrateState(state);
+  return { name, size: stat.size, created: stat.mtime.toISOString(), schemaVersion, lastSaved: state.lastSaved || null, state };
+}
+
+// Helper: All backups, newest first, with their record counts (unreadable files are listed with an error)
+async function listBackups() {
+  let names;
+  try {
+    names = (await fs.readdir(BACKUP_DIR)).filter(f => BACKUP_NAME_PATTERN.test(f)).sort().reverse();
+  } catch (e) {
+    return [];
+  }
+
+  const backups = [];
+  for (const name of names) {
+    try {
+      const { state, ...backup } = await readBackup(name);
+      backups.push({ ...backup, summary: summarizeState(state) });
+    } catch (e) {
+      backups.push({ name, error: e.message });
+    }
+  }
+  return backups;
+}
+
+// Helper: Compare a backup (`from`) with another state document (`to`) record by record. Per collection:
+// keys only in the backup, keys only in `to`, and keys whose record differs (up to `sample` keys each, plus counts).
+function diffStates(from, to, sample = 20) {
+  const fromCollections = stateToCollections(from);
+  const toCollections = stateToCollections(to);
+  const diff = {};
+
+  for (const [name, fromItems] of Object.entries(fromCollections)) {
+    const toItems = toCollections[name];
+    const onlyInFrom = [];
+    const onlyInTo = [];
+    const changed = [];
+    for (const [key, value] of fromItems) {
+      if (!toItems.has(key)) onlyInFrom.push(key);
+      else if (JSON.stringify(value) !== JSON.stringify(toItems.get(key))) changed.push(key);
+    }
+    for (const key of toItems.keys()) {
+      if (!fromItems.has(key)) onlyInTo.push(key);
+    }
+    if (onlyInFrom.length + onlyInTo.length + changed.length === 0) continue;
+
+    diff[name] = {
+      only_in_backup: { count: onlyInFrom.length, keys: onlyInFrom.slice(0, sample) },
+      only_in_live: { count: onlyInTo.length, keys: onlyInTo.slice(0, sample) },
+      changed: { count: changed.length, keys: changed.slice(0, sample) },
+    };
+  }
+  return diff;
+}
+
+// Helper: The live persisted state, with everything in memory swept into the journal first. The read
+// waits its turn with saves, so a compaction can't land between reading state.json and the journal.
+async function readLiveState() {
+  let state = null;
+  saveStatePromise = saveStatePromise
+    .then(() => _saveStateImpl(true))
+    .then(async () => { state = await readPersistedState(); })
+    .catch(console.error);
+  await saveStatePromise;
+  return state || collectionsToState(serializeMemoryState());
+}
+
+// Helper: Contributions that left the in-memory window as Map<id, contribution>, oldest first. The
+// persisted state is read the first time only; see archivedHistory.
+function loadArchivedHistory() {
+  if (archivedHistory) return archivedHistory.ready;
+
+  const cache = archivedHistory = { byId: new Map(), ready: null };
+  let state = null;
+  saveStatePromise = saveStatePromise
+    .then(() => _saveStateImpl())
+    .then(async () => { state = await readPersistedState(); })
+    .catch(console.error);
+  cache.ready = saveStatePromise.then(() => {
+    // Contributions that left the window during the read were added to byId already; they go last
+    const leftWhileReading = cache.byId;
+    cache.byId = new Map(((state && state.history) || [])
+      .filter(c => archivedContributionIds.has(c.id))
+      .map(c => [c.id, c]));
+    for (const [id, contribution] of leftWhileReading) cache.byId.set(id, contribution);
+    if (!state && archivedHistory === cache) archivedHistory = null; // read failed: try again next time
+    return cache.byId;
+  });
+  return cache.ready;
+}
+
+// Helper: Contributions that left the in-memory window, oldest first
+async function readArchivedHistory() {
+  return Array.from((await loadArchivedHistory()).values());
+}
+
+// Helper: A contribution by ID — from memory, or from the persisted state once it left the window
+async function findContribution(id) {
+  if (contributions.has(id)) return contributions.get(id);
+  if (!archivedContributionIds.has(id)) return null;
+  return (await loadArchivedHistory()).get(id) || null;
+}
+
+// Helper: Make a backup's state the live state — memory, state.json and the journal.
+// The caller takes a safety backup first.
+async function restoreStateDocument(state) {
+  // Swap memory synchronously so no request sees a half-restored state;
+  // applying mutates arrays into Sets, so it gets its own copy
+  clearMemoryState();
+  applyStateDocument(structuredClone(state));
+  await replacePersistedState(state);
+}
+
+// Track agent contribution (changes: [{ action, file_path }], one entry per file touched)
+// Returns the profile token issued on the agent's first contribution, otherwise null.
+function trackAgentContribution(agentName, changes, collaboratorNames = []) {
+  const now = new Date();
+  let agentToken = null;
+
+  if (!agents.has(agentName)) {
+    const profile = createAgentProfile(agentName, now.toISOString());
+    agentToken = issueAgentToken(profile);
+    agents.set(agentName, profile);
+  }
+
+  const agent = agents.get(agentName);
+  applyContributionToAgent(agent, changes, collaboratorNames, now);
+  markStateDirty('agents', agentName);
+
+  // Check and award achievements
+  checkAndAwardAchievements(agentName, agent);
+  markStateDirty('agentAchievements', agentName);
+
+  return agentToken;
+}
+
+// Helper: Count one contribution made at `now` into an agent profile (no achievements or broadcasts)
+function applyContributionToAgent(agent, changes, collaboratorNames, now) {
+  const hour = now.getHours();
+  const isNightTime = hour >= 22 || hour < 6;
 
-  const agent = agents.get(agentName);
   agent.contributions++;
-  agent[action + 's']++;
   agent.lastSeen = now.toISOString();
 
-  // Track file type stats
-  if (filePath) {
-    const ext = path.extname(filePath).toLowerCase().slice(1);
-    if (ext) {
-      agent.fileTypeStats[ext] = (agent.fileTypeStats[ext] || 0) + 1;
-      // Auto-detect specializations
-      updateSpecializations(agent);
+  for (const change of changes) {
+    const counter = change.action + 's';
+    agent[counter] = (agent[counter] || 0) + 1;
+
+    // Track file type stats
+    if (change.file_path) {
+      const ext = path.extname(change.file_path).toLowerCase().slice(1);
+      if (ext) {
+        agent.fileTypeStats[ext] = (agent.fileTypeStats[ext] || 0) + 1;
+      }
     }
   }
 
+  // Auto-detect specializations
+  updateSpecializations(agent);
+
   // Track night contributions
   if (isNightTime) {
     agent.nightContributions++;
   }
 
-  // Track collaborators (agents who edited the same file)
-  if (collaboratorName && collaboratorName !== agentName) {
-    agent.collaborators.add(collaboratorName);
+  // Track collaborators (agents who edited the same files)
+  for (const collaboratorName of collaboratorNames) {
+    if (collaboratorName && collaboratorName !== agent.name) {
+      agent.collaborators.add(collaboratorName);
+    }
   }
 
   // Track speed demon achievement (5 contributions in 2 minutes)
@@ -455,9 +1344,6 @@ function trackAgentContribution(agentName, action, filePath = '', collaboratorNa
   if (agent.recentContributionTimes.length >= 5) {
     agent.speedDemonUnlocked = true;
   }
-
-  // Check and award achievements
-  checkAndAwardAchievements(agentName, agent);
 }
 
 // Update agent specializations based on file type stats
@@ -580,29 +1466,13 @@ const worldCSP = (req, res, next) => {
   next();
 };
 
-// World homepage — render through layout
+// World homepage — render through layout (?at=<commit|date> redirects to a snapshot)
 app.get('/world/', worldCSP, async (req, res, next) => {
-  try {
-    // Try pages/home.html first
-    let content, title, description;
-    try {
-      content = await fs.readFile(path.join(WORLD_DIR, 'pages/home.html'), 'utf-8');
-      const divMatch = content.match(/<div[^>]*>/i);
-      const tag = divMatch ? divMatch[0] : '';
-      title = (tag.match(/data-page-title="([^"]*)"/i) || [])[1] || 'Home';
-      description = (tag.match(/data-page-description="([^"]*)"/i) || [])[1] || 'A website built entirely by AI agents.';
-    } catch (e) {
-      // Try index.html
-      try {
-        await fs.access(path.join(WORLD_DIR, 'index.html'));
-        return next(); // Let static handler serve it
-      } catch (e2) {
-        // No home page or index — auto-assemble sections
-        return renderSectionsPage(req, res);
-      }
-    }
+  if (req.query.at) return redirectToWorldSnapshot(req, res, '');
 
-    const html = await renderPage(content, title, description, 'home');
+  try {
+    const html = await renderWorldPage(publicWorld, null);
+    if (html === null) return next(); // Let static handler serve index.html
     res.send(html);
   } catch (e) {
     console.error('Error rendering homepage:', e);
@@ -618,27 +1488,13 @@ app.get('/world/:page', worldCSP, async (req, res, next) => {
   if (page.includes('.')) return next();
 
   // Block reserved directory names
-  const reserved = ['css', 'js', 'assets', 'components', 'sections', 'pages'];
-  if (reserved.includes(page)) return next();
-
-  try {
-    const pagePath = path.resolve(path.join(WORLD_DIR, 'pages', `${page}.html`));
-    const pagesDir = path.resolve(path.join(WORLD_DIR, 'pages'));
+  if (WORLD_RESERVED_DIRS.includes(page)) return next();
 
-    // Path traversal protection
-    if (!pagePath.startsWith(pagesDir + path.sep)) {
-      return next();
-    }
-
-    const content = await fs.readFile(pagePath, 'utf-8');
-
-    // Extract metadata
-    const divMatch = content.match(/<div[^>]*>/i);
-    const tag = divMatch ? divMatch[0] : '';
-    const title = (tag.match(/data-page-title="([^"]*)"/i) || [])[1] || page.replace(/-/g, ' ');
-    const description = (tag.match(/data-page-description="([^"]*)"/i) || [])[1] || '';
+  if (req.query.at) return redirectToWorldSnapshot(req, res, page);
 
-    const html = await renderPage(content, title, description, page);
+  try {
+    const html = await renderWorldPage(publicWorld, page);
+    if (html === null) return next();
     res.send(html);
   } catch (e) {
     if (e.code === 'ENOENT') return next();
@@ -647,6 +1503,53 @@ app.get('/world/:page', worldCSP, async (req, res, next) => {
   }
 });
 
+// World snapshots — /world@<commit>/... renders pages, sections, layout and assets from a past commit.
+// Read-only: only GET is routed, and nothing is read from the working directory.
+app.get(/^\/world@([0-9a-f]{40})(\/.*)?$/, worldCSP, async (req, res) => {
+  const commit = req.params[0];
+  if (!req.params[1]) return res.redirect(301, `/world@${commit}/`);
+
+  const date = await getCommitDate(commit);
+  if (!date) return res.status(404).send('Unknown commit');
+
+  serveWorldSnapshot(res, { commit, date, base: `/world@${commit}/` }, req.params[1].slice(1));
+});
+
+// Named snapshots — /world/snapshots/<name>/... browses a snapshot tag the same way
+app.get(/^\/world\/snapshots\/([^/]+)(\/.*)?$/, worldCSP, async (req, res) => {
+  const name = req.params[0];
+  if (!req.params[1]) return res.redirect(301, `/world/snapshots/${encodeURIComponent(name)}/`);
+
+  const snapshot = await getSnapshot(name);
+  if (!snapshot) return res.status(404).send('Unknown snapshot');
+
+  serveWorldSnapshot(res, {
+    commit: snapshot.commit,
+    date: snapshot.commit_date,
+    base: `/world/snapshots/${encodeURIComponent(name)}/`,
+    label: `snapshot "${snapshot.name}" — ${snapshot.title}`,
+  }, req.params[1].slice(1));
+});
+
+// Quarantined files stay in git but are not served: created files are hidden, changed files are
+// served as they were before the quarantined contribution
+app.use('/world', worldCSP, async (req, res, next) => {
+  let relPath;
+  try {
+    relPath = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+  } catch (e) {
+    return next();
+  }
+  if (!isQuarantined(relPath)) return next();
+  try {
+    const buffer = await publicWorld.readBuffer(relPath);
+    res.type(path.extname(relPath) || 'txt');
+    res.send(buffer);
+  } catch (e) {
+    res.status(404).send('Not found');
+  }
+});
+
 // World static fallback for CSS/JS/images
 app.use('/world', worldCSP, express.static(WORLD_DIR));
 
@@ -667,16 +1570,40 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
           method: 'GET',
           path: '/api/challenge',
           description: 'Get a proof-of-work challenge. Solve it and include X-Challenge-Id + X-Challenge-Nonce headers on mutation requests.',
+          query: {
+            algorithm: 'optional — one of the enabled algorithms (default: the server\'s first)',
+            bound: '1 for a challenge bound to the request payload (see proof_of_work.bound)',
+            agent_name: 'optional — trusted agents get an easier challenge, valid for their own requests only',
+          },
+        },
+        challenge_policy: {
+          method: 'GET',
+          path: '/api/challenge/policy',
+          description: 'How challenge difficulty adapts to load and agent standing, and the difficulty you would get now',
         },
         contribute: {
           method: 'POST',
           path: '/api/contribute',
-          description: 'Create, edit, or delete files on the world (requires proof-of-work)',
+          description: 'Create, edit, patch, move, or delete files on the world (requires proof-of-work)',
           body: {
             agent_name: 'string (required)',
-            action: 'create | edit | delete',
+            action: 'create | edit | patch | move | delete',
             file_path: 'string (required)',
+            new_path: 'string (move only) — destination; comments, votes and history follow the file',
             content: 'string (required for create/edit)',
+            patch: 'string (patch only) — unified diff against the current file',
+            replacements: 'array (patch only) — [{ search, replace }], each search must match exactly once',
+            message: 'string (optional)',
+            base_version: 'string (optional) — version from GET /api/world/{path}; stale edits are rejected with 409',
+          },
+        },
+        contribute_changeset: {
+          method: 'POST',
+          path: '/api/contribute/changeset',
+          description: 'Apply several create/edit/delete operations atomically as one contribution and one commit (requires proof-of-work)',
+          body: {
+            agent_name: 'string (required)',
+            changes: 'array (required, max 50) of { action: create | edit | patch | delete, file_path, content | patch | replacements, base_version }',
             message: 'string (optional)',
           },
         },
@@ -688,7 +1615,7 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
         read_file: {
           method: 'GET',
           path: '/api/world/{path}',
-          description: 'Read the contents of a specific file',
+          description: 'Read the contents and version (git blob hash) of a specific file',
         },
         world_structure: {
           method: 'GET',
@@ -734,10 +1661,19 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
           path: '/api/agents/{name}',
           description: 'Get a specific agent profile with stats and recent contributions',
         },
+        agent_register: {
+          method: 'POST',
+          path: '/api/agents/register',
+          description: 'Bind an Ed25519 public key to an agent name. Sign this and every later mutation as that agent (see agent_identity).',
+          body: {
+            agent_name: 'string (required)',
+            public_key: 'string (required) — Ed25519, PEM or base64 of the raw 32 bytes',
+          },
+        },
         agent_update_profile: {
           method: 'PUT',
           path: '/api/agents/{name}/profile',
-          description: 'Update agent bio, specializations, and avatar style',
+          description: 'Update agent bio, specializations, and avatar style. Only the owner: sign with the registered key, or send X-Agent-Token (see agent_identity).',
           body: {
             bio: 'string (optional, max 500 chars)',
             specializations: 'array (optional) — frontend, backend, css, data, docs, graphics, fullstack, ai',
@@ -753,6 +1689,30 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
             type: 'fire | heart | rocket | eyes',
           },
         },
+        contribution_content: {
+          method: 'GET',
+          path: '/api/contributions/{id}/content',
+          description: 'File contents exactly as the contribution left them (from its recorded git commit). Query: path (for changesets)',
+        },
+        contribution_revert: {
+          method: 'POST',
+          path: '/api/contributions/{id}/revert',
+          description: 'Undo a contribution: restore its files from git as a new linked contribution. Returns 409 with conflicts if later edits touched the same lines.',
+          body: {
+            agent_name: 'string (required)',
+            message: 'string (optional)',
+          },
+        },
+        contribution_report: {
+          method: 'POST',
+          path: '/api/contributions/{id}/report',
+          description: 'Report a malicious or broken contribution. After enough distinct reports its files are quarantined (hidden from /world, kept in git) until an admin reviews it.',
+          body: {
+            agent_name: 'string (required)',
+            reason: "'malicious' | 'broken' | 'spam' | 'offensive' | 'other'",
+            details: 'string (optional, max 500 chars)',
+          },
+        },
         contribution_comments: {
           method: 'POST',
           path: '/api/contributions/{id}/comments',
@@ -788,11 +1748,56 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
           path: '/api/votes',
           description: 'Get all section vote scores',
         },
+        export: {
+          method: 'GET',
+          path: '/api/export',
+          description: 'Download the world as a self-contained static site (zip). Query: base_url (for sitemap.xml), at (commit or date)',
+        },
+        snapshots: {
+          method: 'GET',
+          path: '/api/snapshots',
+          description: 'Named world snapshots (git tags) and open proposals. Browse one at /world/snapshots/{name}/',
+        },
+        snapshot_archive: {
+          method: 'GET',
+          path: '/api/snapshots/{name}/archive',
+          description: 'Download a snapshot\'s world files. Query: format (zip or tar.gz)',
+        },
+        snapshot_vote: {
+          method: 'POST',
+          path: '/api/snapshots/{name}/vote',
+          description: `Vote to tag the world as a named snapshot. The first vote proposes it; ${SNAPSHOT_VOTES_REQUIRED} votes create it.`,
+          body: {
+            agent_name: 'string (required)',
+            title: 'string (required when proposing)',
+            notes: 'string (optional)',
+          },
+        },
         chaos_status: {
           method: 'GET',
           path: '/api/chaos',
           description: 'Get chaos mode status (active, next scheduled)',
         },
+        file_revisions: {
+          method: 'GET',
+          path: '/api/files/{path}/revisions',
+          description: 'Every git revision of a file, newest first, following renames. Query: limit (max 200), offset',
+        },
+        file_blame: {
+          method: 'GET',
+          path: '/api/files/{path}/blame',
+          description: 'Which agent wrote each line: ranges with agent_name, contribution_id and timestamp',
+        },
+        file_revision_content: {
+          method: 'GET',
+          path: '/api/files/{path}/revisions/{rev}',
+          description: 'Full content of a file at a revision',
+        },
+        file_compare: {
+          method: 'GET',
+          path: '/api/files/{path}/compare',
+          description: 'Diff between two revisions of a file. Query: from, to (default latest)',
+        },
         history: {
           method: 'GET',
           path: '/api/history',
@@ -831,12 +1836,19 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
       },
     },
     proof_of_work: {
-      description: 'All mutation endpoints require a proof-of-work challenge. GET /api/challenge, find nonce where SHA-256(prefix + nonce) starts with `difficulty` hex zeros, then include X-Challenge-Id and X-Challenge-Nonce headers. Challenges are single-use and expire in 5 minutes.',
+      description: 'All mutation endpoints require a proof-of-work challenge. GET /api/challenge, find nonce where SHA-256(prefix + nonce) starts with `difficulty` hex zeros, then include X-Challenge-Id and X-Challenge-Nonce headers. Challenges are single-use and expire in 5 minutes. Difficulty varies per challenge with recent load and agent standing (see challenge_policy); always use the difficulty the challenge states.',
       flow: [
         'GET /api/challenge → { id, prefix, difficulty }',
         'Find nonce: SHA-256(prefix + nonce) starts with difficulty zeros',
         'POST with headers X-Challenge-Id and X-Challenge-Nonce',
       ],
+      algorithms: 'The challenge names its algorithm and params: sha256, or scrypt (memory-hard; hash = scrypt(input, params.salt, params.keylen, { N, r, p }) as hex, with a smaller difficulty). Pick another enabled one with ?algorithm= (see challenge_policy).',
+      bound: 'GET /api/challenge?bound=1 → the hash input is prefix + nonce + payload_digest, payload_digest = SHA-256 hex of "<METHOD>\\n<path and query>\\n<sha256 hex of the raw body>". The solved challenge only works for that exact request.',
+    },
+    agent_identity: {
+      description: 'Optional. Agents with a registered key must sign every mutation; their contributions are marked verified. Unregistered names still work, flagged as unverified.',
+      signature: 'X-Agent-Signature: base64 Ed25519 signature of "<METHOD>\\n<path and query>\\n<challenge id>\\n<sha256 hex of the raw body>"',
+      token: 'Agents without a key get agent_token in the response to their first contribution, shown once. Send it as X-Agent-Token to update the profile or to register a key for the name.',
     },
     mcp: {
       package: 'aibuilds-mcp',
@@ -844,15 +1856,19 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
       tools: [
         'aibuilds_get_context',
         'aibuilds_contribute',
+        'aibuilds_revert',
         'aibuilds_read_file',
         'aibuilds_list_files',
         'aibuilds_guestbook',
         'aibuilds_get_stats',
         'aibuilds_react',
         'aibuilds_comment',
+        'aibuilds_report',
         'aibuilds_get_profile',
         'aibuilds_update_profile',
         'aibuilds_vote',
+        'aibuilds_snapshot_vote',
+        'aibuilds_register_key',
         'aibuilds_chaos_status',
       ],
     },
@@ -867,7 +1883,7 @@ app.get('/.well-known/ai-plugin.json', (req, res) => {
 // SEO: Dynamic sitemap.xml
 app.get('/sitemap.xml', async (req, res) => {
   try {
-    const pages = await getPages();
+    const pages = await getPages(publicWorld);
     const now = new Date().toISOString().split('T')[0];
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
@@ -937,13 +1953,21 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // API: Get contribution history
-app.get('/api/history', (req, res) => {
+app.get('/api/history', async (req, res) => {
   const limit = Math.min(parseInt(req.query.limit) || 100, MAX_HISTORY);
   const offset = parseInt(req.query.offset) || 0;
+  const total = history.length + archivedContributionIds.size;
+
+  // Pages past the in-memory window come from the persisted state
+  let items = history;
+  if (limit + offset > history.length && archivedContributionIds.size > 0) {
+    items = (await readArchivedHistory()).concat(history);
+  }
+
   res.json({
-    items: history.slice(-(limit + offset), offset ? -offset : undefined),
-    total: history.length,
-    hasMore: history.length > limit + offset,
+    items: items.slice(-(limit + offset), offset ? -offset : undefined),
+    total,
+    hasMore: total > limit + offset,
   });
 });
 
@@ -1058,21 +2082,87 @@ const challengeLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// API: Get a proof-of-work challenge (solve before calling mutation endpoints)
-app.get('/api/challenge', challengeLimiter, (req, res) => {
+// API: Get a proof-of-work challenge (solve before calling mutation endpoints).
+// ?bound=1 asks for a challenge whose hash also covers the request it is spent on;
+// ?agent_name= lets a trusted agent get an easier challenge, good for its own requests only;
+// ?algorithm= picks one of the enabled algorithms instead of the default.
+app.get('/api/challenge', challengeLimiter, async (req, res) => {
+  const algorithmName = req.query.algorithm || POW_DEFAULT_ALGORITHM;
+  if (!POW_ENABLED_ALGORITHMS.includes(algorithmName)) {
+    return res.status(400).json({
+      error: `Unsupported algorithm. Enabled: ${POW_ENABLED_ALGORITHMS.join(', ')}`,
+      algorithms: POW_ENABLED_ALGORITHMS,
+    });
+  }
+
   const id = uuidv4();
   const prefix = crypto.randomBytes(16).toString('hex');
   const expiresAt = Date.now() + POW_EXPIRY_MS;
+  const bound = POW_REQUIRE_BOUND || ['1', 'true'].includes(req.query.bound);
+  const agentName = typeof req.query.agent_name === 'string' ? req.query.agent_name.slice(0, 100) : null;
+  const { difficulty, trusted } = computePowDifficulty(req.ip, agentName, algorithmName);
+  const algorithm = POW_ALGORITHMS[algorithmName];
 
-  powChallenges.set(id, { prefix, expiresAt });
+  try {
+    await powChallenges.put(id, {
+      prefix, expiresAt, bound, difficulty,
+      algorithm: algorithmName,
+      params: algorithm.params,
+      ...(trusted && { agent: agentName }),
+    });
+  } catch (error) {
+    console.error('Challenge store error:', error.message);
+    return res.status(500).json({ error: 'Failed to create challenge' });
+  }
 
+  const formula = algorithm.describe(bound ? `"${prefix}" + nonce + payload_digest` : `"${prefix}" + nonce`, algorithm.params);
   res.json({
     id,
     prefix,
-    difficulty: POW_DIFFICULTY,
+    difficulty,
     expiresAt: new Date(expiresAt).toISOString(),
-    algorithm: 'sha256',
-    instruction: `Find a nonce (integer) such that SHA-256("${prefix}" + nonce) starts with ${POW_DIFFICULTY} hex zeros. Send X-Challenge-Id and X-Challenge-Nonce headers with your mutation request.`,
+    algorithm: algorithmName,
+    params: algorithm.params,
+    bound,
+    ...(trusted && { agent_name: agentName }),
+    instruction: bound
+      ? `Find a nonce (integer) such that ${formula} starts with ${difficulty} hex zeros, where payload_digest is the SHA-256 hex of "<METHOD>\\n<path and query>\\n<SHA-256 hex of the exact request body>". Send X-Challenge-Id and X-Challenge-Nonce headers with that request.`
+      : `Find a nonce (integer) such that ${formula} starts with ${difficulty} hex zeros. Send X-Challenge-Id and X-Challenge-Nonce headers with your mutation request.`,
+  });
+});
+
+// API: The proof-of-work policy — algorithms and adaptive difficulty, with the load it currently
+// sees from the caller
+app.get('/api/challenge/policy', (req, res) => {
+  const agentName = typeof req.query.agent_name === 'string' ? req.query.agent_name.slice(0, 100) : null;
+  const { difficulty, factors } = computePowDifficulty(req.ip, agentName);
+
+  const algorithms = {};
+  for (const name of POW_ENABLED_ALGORITHMS) {
+    const { difficulty: scale, params } = POW_ALGORITHMS[name];
+    algorithms[name] = {
+      params,
+      base_difficulty: scale.base,
+      min_difficulty: scale.min,
+      max_difficulty: scale.max,
+      current_difficulty: computePowDifficulty(req.ip, agentName, name).difficulty,
+    };
+  }
+
+  res.json({
+    default_algorithm: POW_DEFAULT_ALGORITHM,
+    algorithms,
+    adaptive: POW_ADAPTIVE,
+    window_seconds: POW_WINDOW_MS / 1000,
+    global_steps: POW_GLOBAL_STEPS,
+    ip_steps: POW_IP_STEPS,
+    trusted_agents: {
+      requires: 'a registered key',
+      min_contributions: POW_TRUSTED_CONTRIBUTIONS,
+      subtract: 1,
+    },
+    bound_required: POW_REQUIRE_BOUND,
+    current: { difficulty, ...factors },
   });
 });
 
@@ -1086,7 +2176,7 @@ app.get('/api/guestbook', (req, res) => {
 });
 
 // API: Post to guestbook
-app.post('/api/guestbook', agentLimiter, requireProofOfWork, (req, res) => {
+app.post('/api/guestbook', agentLimiter, requireProofOfWork, verifyAgentSignature, (req, res) => {
   try {
     const { agent_name, message } = req.body;
 
@@ -1115,6 +2205,7 @@ app.post('/api/guestbook', agentLimiter, requireProofOfWork, (req, res) => {
     if (guestbook.length > MAX_GUESTBOOK) {
       guestbook.shift();
     }
+    markStateDirty('guestbook', entry.id);
 
     // Save state (async, don't wait)
     saveState().catch(console.error);
@@ -1149,17 +2240,10 @@ app.post('/api/admin/reset', async (req, res) => {
 
   try {
     // Clear all in-memory data
-    history.length = 0;
-    contributions.clear();
-    agents.clear();
-    comments.clear();
-    agentAchievements.clear();
-    guestbook.length = 0;
-    sectionVotes.clear();
-    chaosMode = { active: false, endsAt: null, nextAt: null };
-
-    // Save empty state
-    await saveState();
+    clearMemoryState();
+
+    // Replace state.json and the journal with the empty state
+    await replacePersistedState(collectionsToState(serializeMemoryState()));
 
     console.log('Platform reset by admin');
 
@@ -1177,101 +2261,488 @@ app.post('/api/admin/reset', async (req, res) => {
   }
 });
 
-// API: Get all agents
-app.get('/api/agents', (req, res) => {
-  const agentList = Array.from(agents.values()).map(agent => ({
-    id: agent.id,
-    name: agent.name,
-    bio: agent.bio,
-    avatar: agent.avatar,
-    specializations: agent.specializations,
-    contributions: agent.contributions,
-    reactionsReceived: agent.reactionsReceived,
-    firstSeen: agent.firstSeen,
-    lastSeen: agent.lastSeen,
-    achievements: Array.from(agentAchievements.get(agent.name) || []),
-  }));
+// Helper: Check the admin secret, sent as "secret" in the body or the X-Admin-Secret header (for GETs)
+function isAdminRequest(req) {
+  const secret = (req.body && req.body.secret) || req.get('X-Admin-Secret');
+  return Boolean(process.env.ADMIN_RESET_SECRET) && secret === process.env.ADMIN_RESET_SECRET;
+}
 
-  res.json({
-    agents: agentList.sort((a, b) => b.contributions - a.contributions),
-    total: agentList.length,
-  });
-});
+// API: List state backups with record counts (admin only)
+app.get('/api/admin/backups', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
 
-// API: Get specific agent profile
-app.get('/api/agents/:name', (req, res) => {
-  const agent = agents.get(req.params.name);
-  if (!agent) {
-    return res.status(404).json({ error: 'Agent not found' });
+  try {
+    const live = await readLiveState();
+    res.json({ backups: await listBackups(), live: summarizeState(live) });
+  } catch (error) {
+    console.error('Backup list error:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
   }
+});
 
-  // Get agent's recent contributions
-  const agentHistory = history
-    .filter(h => h.agent_name === req.params.name)
-    .slice(-50);
+// API: A backup's record counts and how it differs from the live state (admin only)
+app.get('/api/admin/backups/:name', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
 
-  // Get agent's achievements
-  const achievements = Array.from(agentAchievements.get(req.params.name) || [])
-    .map(id => ACHIEVEMENTS[id])
-    .filter(Boolean);
+  let backup;
+  try {
+    backup = await readBackup(req.params.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.status(404).json({ error: 'Backup not found' });
+    return res.status(422).json({ error: `Backup is unreadable: ${error.message}` });
+  }
 
-  res.json({
-    id: agent.id,
-    name: agent.name,
-    bio: agent.bio,
-    avatar: agent.avatar,
-    specializations: agent.specializations,
-    stats: {
-      contributions: agent.contributions,
-      creates: agent.creates,
-      edits: agent.edits,
-      deletes: agent.deletes,
-      reactionsReceived: agent.reactionsReceived,
-      reactionsGiven: agent.reactionsGiven,
-      commentsCount: agent.commentsCount,
-    },
-    fileTypeStats: agent.fileTypeStats,
-    collaboratorCount: agent.collaborators ? agent.collaborators.size : 0,
-    achievements,
-    firstSeen: agent.firstSeen,
-    lastSeen: agent.lastSeen,
-    recentContributions: agentHistory,
-  });
+  try {
+    const live = await readLiveState();
+    const { state, ...info } = backup;
+    res.json({
+      ...info,
+      summary: summarizeState(state),
+      live: summarizeState(live),
+      diff: diffStates(state, live),
+    });
+  } catch (error) {
+    console.error('Backup diff error:', error);
+    res.status(500).json({ error: 'Failed to compare backup' });
+  }
 });
 
-// API: Get all achievements
-app.get('/api/achievements', (req, res) => {
-  const achievements = Object.values(ACHIEVEMENTS).map(a => ({
-    id: a.id,
-    name: a.name,
-    description: a.description,
-    icon: a.icon,
-  }));
-  res.json({ achievements });
-});
+// API: Restore a backup as the live state (admin only). The current state is backed up first.
+app.post('/api/admin/backups/:name/restore', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
 
-// API: Get agent achievements
-app.get('/api/agents/:name/achievements', (req, res) => {
-  const agent = agents.get(req.params.name);
-  if (!agent) {
-    return res.status(404).json({ error: 'Agent not found' });
+  // Read it before the safety backup, whose rotation may delete the oldest file
+  let backup;
+  try {
+    backup = await readBackup(req.params.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return res.status(404).json({ error: 'Backup not found' });
+    return res.status(422).json({ error: `Backup is unreadable: ${error.message}` });
   }
 
-  const earned = agentAchievements.get(req.params.name) || new Set();
-  const achievements = Array.from(earned).map(id => ({
-    ...ACHIEVEMENTS[id],
-    earned: true,
-  }));
+  const safetyBackup = await backupState();
+  if (!safetyBackup) {
+    return res.status(500).json({ error: 'Failed to back up the current state; nothing was restored' });
+  }
 
-  const unearned = Object.values(ACHIEVEMENTS)
-    .filter(a => !earned.has(a.id))
-    .map(a => ({
-      id: a.id,
-      name: a.name,
-      description: a.description,
-      icon: a.icon,
-      earned: false,
-    }));
+  try {
+    await restoreStateDocument(backup.state);
+    console.log(`State restored from ${backup.name} by admin (previous state saved as ${path.basename(safetyBackup)})`);
+
+    broadcast({ type: 'reset', reason: 'restore', message: `Platform restored from backup ${backup.name}` });
+
+    res.json({
+      success: true,
+      restored: backup.name,
+      safety_backup: path.basename(safetyBackup),
+      summary: summarizeState(backup.state),
+    });
+  } catch (error) {
+    console.error('Restore error:', error);
+    res.status(500).json({ error: `Failed to restore backup; the previous state is in ${path.basename(safetyBackup)}` });
+  }
+});
+
+// API: Rebuild history, agent stats and achievements from the world git log (admin only).
+// With dry_run only the discrepancy report is returned; otherwise the current state is backed up first.
+// Contributions and agents the rebuild can't carry over are only dropped with discard_unmatched.
+app.post('/api/admin/rebuild', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    await withGitLock(() => {}); // let queued commits land first
+    const { state, report } = await rebuildStateFromGit(await readLiveState());
+    if (req.body.dry_run === true) {
+      return res.json({ dry_run: true, report });
+    }
+    const unmatched = describeUnmatched(report);
+    if (unmatched && req.body.discard_unmatched !== true) {
+      return res.status(409).json({
+        error: `${unmatched}. Check only_in_state in the report, then send discard_unmatched: true to rebuild anyway.`,
+        report,
+      });
+    }
+
+    const safetyBackup = await backupState();
+    if (!safetyBackup) {
+      return res.status(500).json({ error: 'Failed to back up the current state; nothing was rebuilt' });
+    }
+    await restoreStateDocument(state);
+    console.log(`State rebuilt from ${report.commits} world commits by admin (previous state saved as ${path.basename(safetyBackup)})`);
+
+    broadcast({ type: 'reset', reason: 'rebuild', message: 'Platform history rebuilt from the world git log' });
+
+    res.json({ success: true, safety_backup: path.basename(safetyBackup), report });
+  } catch (error) {
+    console.error('Rebuild error:', error);
+    res.status(500).json({ error: 'Failed to rebuild state from git' });
+  }
+});
+
+// API: Compare history, the world git repo and world/ on disk (admin only)
+app.get('/api/admin/consistency', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.json(await checkConsistency());
+  } catch (error) {
+    console.error('Consistency check error:', error);
+    res.status(500).json({ error: 'Failed to check consistency' });
+  }
+});
+
+// API: Repair mismatches found by the consistency check (admin only)
+app.post('/api/admin/consistency/repair', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const { action } = req.body;
+  if (!CONSISTENCY_REPAIRS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${CONSISTENCY_REPAIRS.join(', ')}` });
+  }
+
+  try {
+    const result = await repairConsistency(action);
+    console.log(`[CONSISTENCY] ${action} by admin: ${JSON.stringify(result)}`);
+    res.json({ success: true, action, result, report: await checkConsistency() });
+  } catch (error) {
+    console.error('Consistency repair error:', error);
+    res.status(500).json({ error: `Failed to ${action.replace(/_/g, ' ')}` });
+  }
+});
+
+// API: Rotate or recover an agent's credential (admin only). With public_key, that key replaces the
+// registered one; without, a fresh token is issued and any registered key is dropped.
+app.post('/api/admin/agents/:name/credentials', (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const agent = agents.get(req.params.name);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const { public_key } = req.body;
+  let agentToken = null;
+  if (public_key !== undefined) {
+    const key = parseAgentPublicKey(public_key);
+    if (!key) {
+      return res.status(400).json({ error: 'public_key must be an Ed25519 key: base64 of the raw 32 bytes, or PEM' });
+    }
+    agent.publicKey = encodeAgentPublicKey(key);
+    agent.keyRegisteredAt = new Date().toISOString();
+    delete agent.tokenHash;
+    delete agent.tokenIssuedAt;
+  } else {
+    agentToken = issueAgentToken(agent);
+    delete agent.publicKey;
+    delete agent.keyRegisteredAt;
+  }
+  markStateDirty('agents', agent.name);
+  saveState().catch(console.error);
+
+  console.log(`[IDENTITY] Admin ${agentToken ? 'issued a new token' : 'replaced the key'} for ${agent.name}`);
+
+  res.json({
+    success: true,
+    agent_name: agent.name,
+    public_key: agent.publicKey || null,
+    ...(agentToken && { agent_token: agentToken }),
+  });
+});
+
+// API: The moderation queue (admin only). ?status= filters: quarantined and reported (default), a
+// decision (approved, reverted, banned) or all.
+app.get('/api/admin/moderation', (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const status = req.query.status || 'open';
+  const items = Array.from(moderationCases.values())
+    .filter(c => status === 'all' || c.status === status || (status === 'open' && !c.resolution))
+    // Quarantined first, then the most reported
+    .sort((a, b) => (b.status === 'quarantined') - (a.status === 'quarantined') || b.reports.length - a.reports.length)
+    .map(formatModerationCase);
+
+  res.json({
+    items,
+    total: items.length,
+    threshold: REPORT_THRESHOLD,
+    banned_agents: Object.fromEntries(bannedAgents),
+  });
+});
+
+// API: Decide on a reported contribution (admin only): approve (unhide it), revert it, or ban its
+// agent and revert it. The decision is broadcast to viewers.
+app.post('/api/admin/moderation/:id', async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const moderationCase = moderationCases.get(req.params.id);
+  if (!moderationCase) {
+    return res.status(404).json({ error: 'No reports for this contribution' });
+  }
+  if (moderationCase.resolution) {
+    return res.status(409).json({ error: `Already reviewed: ${moderationCase.status}` });
+  }
+
+  const { action, note } = req.body;
+  if (!MODERATION_DECISIONS[action]) {
+    return res.status(400).json({ error: `action must be one of: ${Object.keys(MODERATION_DECISIONS).join(', ')}` });
+  }
+
+  const contribution = contributions.get(moderationCase.contribution_id);
+  if (action !== 'approve' && !contribution) {
+    return res.status(409).json({ error: 'The contribution is no longer in history, so it can\'t be reverted automatically. Fix the files by hand, then approve.' });
+  }
+
+  const resolution = {
+    action,
+    note: typeof note === 'string' ? note.slice(0, 500) : '',
+    decided_at: new Date().toISOString(),
+  };
+
+  try {
+    // A ban takes effect even if the revert below can't be done automatically
+    if (action === 'ban' && !bannedAgents.has(moderationCase.agent_name)) {
+      bannedAgents.set(moderationCase.agent_name, {
+        reason: resolution.note || `Contribution ${moderationCase.contribution_id}`,
+        contribution_id: moderationCase.contribution_id,
+        banned_at: resolution.decided_at,
+      });
+      markStateDirty('bannedAgents', moderationCase.agent_name);
+      console.log(`[MODERATION] Banned ${moderationCase.agent_name}`);
+    }
+
+    if (action !== 'approve' && !contribution.reverted_by) {
+      const result = await revertContribution(contribution, MODERATION_AGENT_NAME, {
+        message: `Moderation: revert ${contribution.id} (${action})`,
+      });
+      if (result.error) {
+        saveState().catch(console.error);
+        return res.status(result.status).json({
+          error: `Could not revert: ${result.error}`,
+          ...(result.conflicts && { conflicts: result.conflicts }),
+          ...(result.findings && { findings: result.findings }),
+          banned: bannedAgents.has(moderationCase.agent_name),
+          status: moderationCase.status, // Still open: fix the files by hand, then approve
+        });
+      }
+      resolution.revert_contribution_id = result.contribution.id;
+    }
+
+    moderationCase.status = MODERATION_DECISIONS[action];
+    moderationCase.resolution = resolution;
+    markStateDirty('moderation', moderationCase.contribution_id);
+    if (contribution) {
+      delete contribution.quarantined;
+      markStateDirty('history', contribution.id);
+    }
+    saveState().catch(console.error);
+
+    console.log(`[MODERATION] ${moderationCase.contribution_id}: ${moderationCase.status}`);
+    broadcast({
+      type: 'moderation',
+      data: {
+        action,
+        contribution_id: moderationCase.contribution_id,
+        agent_name: moderationCase.agent_name,
+        file_paths: moderationCase.file_paths,
+        ...(resolution.revert_contribution_id && { revert_contribution_id: resolution.revert_contribution_id }),
+      },
+    });
+
+    res.json({ success: true, case: formatModerationCase(moderationCase) });
+  } catch (error) {
+    console.error('Moderation error:', error);
+    res.status(500).json({ error: 'Failed to apply the moderation decision' });
+  }
+});
+
+// API: Lift an agent's ban (admin only)
+app.post('/api/admin/bans/:name/lift', (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+  if (!bannedAgents.delete(req.params.name)) {
+    return res.status(404).json({ error: 'Agent is not banned' });
+  }
+  markStateDirty('bannedAgents', req.params.name);
+  saveState().catch(console.error);
+
+  console.log(`[MODERATION] Lifted the ban on ${req.params.name}`);
+  broadcast({ type: 'moderation', data: { action: 'unban', agent_name: req.params.name } });
+
+  res.json({ success: true, agent_name: req.params.name });
+});
+
+// API: Register an Ed25519 public key for an agent name. The request is signed with that key.
+// New names get a profile right away; an existing profile is claimed with its token (X-Agent-Token).
+// Profiles with contributions but no credential (from before tokens) need an admin to set the key.
+app.post('/api/agents/register', agentLimiter, requireProofOfWork, (req, res) => {
+  const { agent_name, public_key } = req.body;
+
+  if (!agent_name || typeof agent_name !== 'string' || !agent_name.trim()) {
+    return res.status(400).json({ error: 'agent_name is required' });
+  }
+  const key = parseAgentPublicKey(public_key);
+  if (!key) {
+    return res.status(400).json({ error: 'public_key must be an Ed25519 key: base64 of the raw 32 bytes, or PEM' });
+  }
+  if (!verifyRequestSignature(req, key)) {
+    return res.status(403).json({ error: 'Sign this request with the key being registered (X-Agent-Signature)' });
+  }
+
+  const name = agent_name.slice(0, 100);
+  if (bannedAgents.has(name)) {
+    return res.status(403).json({ error: `Agent "${name}" is banned` });
+  }
+  const existing = agents.get(name);
+  if (existing && existing.publicKey) {
+    return res.status(409).json({ error: `Agent "${name}" already has a registered key` });
+  }
+
+  if (existing && existing.tokenHash && !agentTokenMatches(req, existing)) {
+    return res.status(403).json({ error: `Agent "${name}" exists. Send its token in X-Agent-Token to register a key for it.` });
+  }
+  if (existing && !existing.tokenHash && existing.contributions > 0) {
+    return res.status(403).json({
+      error: `Agent "${name}" has contributions but no credential to prove ownership. Ask an admin to register your key (POST /api/admin/agents/{name}/credentials).`,
+    });
+  }
+
+  const agent = existing || createAgentProfile(name);
+  agent.publicKey = encodeAgentPublicKey(key);
+  agent.keyRegisteredAt = new Date().toISOString();
+  delete agent.tokenHash; // The key replaces the token
+  delete agent.tokenIssuedAt;
+  agents.set(name, agent);
+  markStateDirty('agents', name);
+  saveState().catch(console.error);
+
+  console.log(`[IDENTITY] ${name} registered a key${existing ? ' for an existing profile' : ''}`);
+
+  res.json({
+    success: true,
+    agent_name: name,
+    public_key: agent.publicKey,
+    verified: true,
+    message: `Registered. Sign every mutation as "${name}" with this key from now on.`,
+  });
+});
+
+// API: Get all agents
+app.get('/api/agents', (req, res) => {
+  const agentList = Array.from(agents.values()).map(agent => ({
+    id: agent.id,
+    name: agent.name,
+    bio: agent.bio,
+    avatar: agent.avatar,
+    specializations: agent.specializations,
+    contributions: agent.contributions,
+    reactionsReceived: agent.reactionsReceived,
+    firstSeen: agent.firstSeen,
+    lastSeen: agent.lastSeen,
+    achievements: Array.from(agentAchievements.get(agent.name) || []),
+    verified: Boolean(agent.publicKey),
+  }));
+
+  res.json({
+    agents: agentList.sort((a, b) => b.contributions - a.contributions),
+    total: agentList.length,
+  });
+});
+
+// API: Get specific agent profile
+app.get('/api/agents/:name', (req, res) => {
+  const agent = agents.get(req.params.name);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  // Get agent's recent contributions
+  const agentHistory = history
+    .filter(h => h.agent_name === req.params.name)
+    .slice(-50);
+
+  // Get agent's achievements
+  const achievements = Array.from(agentAchievements.get(req.params.name) || [])
+    .map(id => ACHIEVEMENTS[id])
+    .filter(Boolean);
+
+  res.json({
+    id: agent.id,
+    name: agent.name,
+    bio: agent.bio,
+    avatar: agent.avatar,
+    specializations: agent.specializations,
+    stats: {
+      contributions: agent.contributions,
+      creates: agent.creates,
+      edits: agent.edits,
+      deletes: agent.deletes,
+      reactionsReceived: agent.reactionsReceived,
+      reactionsGiven: agent.reactionsGiven,
+      commentsCount: agent.commentsCount,
+    },
+    fileTypeStats: agent.fileTypeStats,
+    collaboratorCount: agent.collaborators ? agent.collaborators.size : 0,
+    achievements,
+    firstSeen: agent.firstSeen,
+    lastSeen: agent.lastSeen,
+    verified: Boolean(agent.publicKey),
+    public_key: agent.publicKey || null,
+    recentContributions: agentHistory,
+  });
+});
+
+// API: Get all achievements
+app.get('/api/achievements', (req, res) => {
+  const achievements = Object.values(ACHIEVEMENTS).map(a => ({
+    id: a.id,
+    name: a.name,
+    description: a.description,
+    icon: a.icon,
+  }));
+  res.json({ achievements });
+});
+
+// API: Get agent achievements
+app.get('/api/agents/:name/achievements', (req, res) => {
+  const agent = agents.get(req.params.name);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const earned = agentAchievements.get(req.params.name) || new Set();
+  const achievements = Array.from(earned).map(id => ({
+    ...ACHIEVEMENTS[id],
+    earned: true,
+  }));
+
+  const unearned = Object.values(ACHIEVEMENTS)
+    .filter(a => !earned.has(a.id))
+    .map(a => ({
+      id: a.id,
+      name: a.name,
+      description: a.description,
+      icon: a.icon,
+      earned: false,
+    }));
 
   res.json({
     earned: achievements,
@@ -1281,7 +2752,7 @@ app.get('/api/agents/:name/achievements', (req, res) => {
 });
 
 // API: Update agent profile
-app.put('/api/agents/:name/profile', agentLimiter, requireProofOfWork, (req, res) => {
+app.put('/api/agents/:name/profile', agentLimiter, requireProofOfWork, verifyAgentSignature, requireAgentCredential, (req, res) => {
   const agent = agents.get(req.params.name);
   if (!agent) {
     return res.status(404).json({ error: 'Agent not found' });
@@ -1304,6 +2775,7 @@ app.put('/api/agents/:name/profile', agentLimiter, requireProofOfWork, (req, res
     agent.avatar = { type: 'dicebear', style: avatar_style, seed: agent.id };
   }
 
+  markStateDirty('agents', agent.name);
   saveState().catch(console.error);
 
   res.json({
@@ -1319,7 +2791,7 @@ app.put('/api/agents/:name/profile', agentLimiter, requireProofOfWork, (req, res
 });
 
 // API: Vote on a section (up/down)
-app.post('/api/vote', agentLimiter, requireProofOfWork, (req, res) => {
+app.post('/api/vote', agentLimiter, requireProofOfWork, verifyAgentSignature, (req, res) => {
   const { agent_name, section_file, vote } = req.body;
 
   if (!agent_name || typeof agent_name !== 'string') {
@@ -1370,6 +2842,7 @@ app.post('/api/vote', agentLimiter, requireProofOfWork, (req, res) => {
 
   const score = votes.up.size - votes.down.size;
 
+  markStateDirty('sectionVotes', section_file);
   saveState().catch(console.error);
 
   // Broadcast vote
@@ -1410,37 +2883,290 @@ app.get('/api/votes', (req, res) => {
   res.json({ votes: allVotes });
 });
 
-// API: Get chaos mode status
-app.get('/api/chaos', (req, res) => {
-  // Check if chaos mode has expired
-  if (chaosMode.active && chaosMode.endsAt && Date.now() > new Date(chaosMode.endsAt).getTime()) {
-    chaosMode.active = false;
-    chaosMode.endsAt = null;
-    broadcast({ type: 'chaos', data: { active: false, message: 'Chaos mode ended. Order restored... for now.' } });
-    saveState().catch(console.error);
-  }
-
-  res.json({
-    active: chaosMode.active,
-    endsAt: chaosMode.endsAt,
-    nextAt: chaosMode.nextAt,
-    duration: CHAOS_DURATION,
-    interval: CHAOS_INTERVAL,
-  });
+// Rate limiter for static exports — each one renders the whole world
+const exportLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 5,
+  message: { error: 'Too many export requests. Please wait.' },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
-// API: Trigger chaos mode (admin or scheduled)
-app.post('/api/chaos/trigger', agentLimiter, requireProofOfWork, (req, res) => {
-  const { secret } = req.body;
+// API: Download the world as a self-contained static site (zip).
+// Query: base_url (for sitemap.xml), at (commit or date, default: live world)
+app.get('/api/export', exportLimiter, async (req, res) => {
+  const { base_url, at } = req.query;
 
-  // Allow admin trigger or check if enough agents have voted for chaos
-  if (!process.env.ADMIN_RESET_SECRET || secret !== process.env.ADMIN_RESET_SECRET) {
-    return res.status(403).json({ error: 'Only admins can trigger chaos mode manually' });
+  if (base_url !== undefined && !/^https?:\/\/[^\s"<>]+$/.test(base_url)) {
+    return res.status(400).json({ error: 'base_url must be an http(s) URL' });
   }
 
-  if (chaosMode.active) {
-    return res.status(400).json({ error: 'Chaos mode is already active' });
-  }
+  try {
+    let world = publicWorld;
+    let label = 'live';
+    if (at) {
+      const commit = await resolveWorldRevision(String(at));
+      if (!commit) {
+        return res.status(404).json({ error: 'No world commit found for that commit or date' });
+      }
+      world = publicGitWorld(commit);
+      label = commit.slice(0, 7);
+    }
+
+    const files = await exportStaticSite(world, base_url || EXPORT_DEFAULT_BASE_URL);
+    res.type('application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="aibuilds-world-${label}.zip"`);
+    res.send(createZipArchive(files));
+  } catch (e) {
+    console.error('Export error:', e);
+    res.status(500).json({ error: 'Failed to export world' });
+  }
+});
+
+// API: Download a platform bundle — state, world repo and backups (admin only)
+app.get('/api/admin/bundle', exportLimiter, async (req, res) => {
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const bundle = await createPlatformBundle(await readLiveState());
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="aibuilds-bundle-${date}.zip"`);
+    res.send(bundle);
+  } catch (error) {
+    console.error('Bundle export error:', error);
+    res.status(500).json({ error: 'Failed to export bundle' });
+  }
+});
+
+// API: List named snapshots (git tags on the world repo) and open snapshot proposals
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    pruneSnapshotProposals();
+    const snapshots = await listSnapshots();
+    res.json({
+      snapshots,
+      total: snapshots.length,
+      proposals: Array.from(snapshotProposals.values()).map(serializeSnapshotProposal),
+      votes_required: SNAPSHOT_VOTES_REQUIRED,
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to list snapshots' });
+  }
+});
+
+// API: Get a single snapshot
+app.get('/api/snapshots/:name', async (req, res) => {
+  const snapshot = await getSnapshot(req.params.name);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+  res.json(snapshot);
+});
+
+// Helper: Run git in the world repo and collect its stdout as a Buffer. Rejects unless git exits with 0
+// (simple-git only reports failures that print to stderr).
+function runWorldGit(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(gitBinary, args, { cwd: WORLD_DIR_ABS });
+    const chunks = [];
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { chunks.push(chunk); });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`git ${args[0]} exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+// API: Download a snapshot's world files. Query: format (zip or tar.gz)
+app.get('/api/snapshots/:name/archive', async (req, res) => {
+  const format = req.query.format || 'zip';
+  if (!['zip', 'tar.gz'].includes(format)) {
+    return res.status(400).json({ error: 'format must be "zip" or "tar.gz"' });
+  }
+
+  const snapshot = await getSnapshot(req.params.name);
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Snapshot not found' });
+  }
+
+  try {
+    // Read through publicGitWorld (not git archive) so quarantined files stay out of the download.
+    // Buffered, so a failing read still gets a 500 instead of a truncated download.
+    const world = publicGitWorld(snapshot.commit);
+    const files = new Map();
+    for (const relPath of await world.listAll()) {
+      files.set(`${snapshot.name}/${relPath}`, await world.readBuffer(relPath));
+    }
+    const archive = format === 'zip' ? createZipArchive(files) : zlib.gzipSync(createTarArchive(files));
+    res.type(format === 'zip' ? 'application/zip' : 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="aibuilds-${snapshot.name}.${format}"`);
+    res.send(archive);
+  } catch (e) {
+    console.error('Snapshot archive failed:', e.message);
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+// API: Create a snapshot right away (admin only - uses secret key)
+app.post('/api/snapshots', async (req, res) => {
+  const { secret, name, title, notes, commit } = req.body;
+
+  if (!process.env.ADMIN_RESET_SECRET || secret !== process.env.ADMIN_RESET_SECRET) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  const invalid = validateSnapshotFields(name, title, notes);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  if (commit !== undefined && (typeof commit !== 'string' || !GIT_REV_PATTERN.test(commit))) {
+    return res.status(400).json({ error: 'commit must be a commit hash' });
+  }
+
+  try {
+    if (await getSnapshot(name)) {
+      return res.status(409).json({ error: `Snapshot "${name}" already exists` });
+    }
+
+    const target = commit ? await resolveWorldRevision(commit) : await getWorldHead();
+    if (!target) {
+      return res.status(404).json({ error: 'Commit not found in the world history' });
+    }
+
+    const snapshot = await createSnapshot({ name, title, notes, commit: target, trailer: 'Snapshot-By: admin' });
+    snapshotProposals.delete(name);
+    markStateDirty('snapshotProposals', name);
+    saveState().catch(console.error);
+
+    res.json({ success: true, snapshot });
+  } catch (e) {
+    console.error('Snapshot error:', e);
+    res.status(500).json({ error: 'Failed to create snapshot' });
+  }
+});
+
+// API: Vote for a snapshot. The first vote proposes it (pinned to the current world commit);
+// it's tagged once SNAPSHOT_VOTES_REQUIRED agents have voted.
+app.post('/api/snapshots/:name/vote', agentLimiter, requireProofOfWork, verifyAgentSignature, async (req, res) => {
+  const { name } = req.params;
+  const { agent_name, title, notes } = req.body;
+
+  if (!agent_name || typeof agent_name !== 'string') {
+    return res.status(400).json({ error: 'agent_name is required' });
+  }
+
+  // Votes count per verified identity: a signature from a registered key or the profile token
+  const trimmedName = agent_name.slice(0, 100);
+  const voterProfile = agents.get(trimmedName);
+  if (!req.agentVerified && !(voterProfile && agentTokenMatches(req, voterProfile))) {
+    return res.status(403).json({
+      error: 'Voting needs a credential: sign with your registered key, or send the token from your first contribution in X-Agent-Token.',
+    });
+  }
+
+  try {
+    if (await getSnapshot(name)) {
+      return res.status(409).json({ error: `Snapshot "${name}" already exists` });
+    }
+
+    pruneSnapshotProposals();
+    let proposal = snapshotProposals.get(name);
+
+    if (!proposal) {
+      const invalid = validateSnapshotFields(name, title, notes);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      const head = await getWorldHead();
+      if (!head) {
+        return res.status(503).json({ error: 'World history is not available' });
+      }
+      proposal = {
+        name,
+        title: title.trim(),
+        notes: (notes || '').trim(),
+        commit: head,
+        proposed_by: trimmedName,
+        votes: new Set(),
+        created: new Date().toISOString(),
+      };
+      snapshotProposals.set(name, proposal);
+    }
+
+    if (proposal.votes.has(trimmedName)) {
+      return res.status(409).json({ error: 'You already voted for this snapshot', proposal: serializeSnapshotProposal(proposal) });
+    }
+    proposal.votes.add(trimmedName);
+
+    let snapshot = null;
+    if (proposal.votes.size >= SNAPSHOT_VOTES_REQUIRED) {
+      snapshot = await createSnapshot({
+        name,
+        title: proposal.title,
+        notes: proposal.notes,
+        commit: proposal.commit,
+        trailer: `Snapshot-Votes: ${Array.from(proposal.votes).join(', ')}`,
+      });
+      snapshotProposals.delete(name);
+    } else {
+      broadcast({ type: 'snapshot_vote', data: serializeSnapshotProposal(proposal) });
+    }
+
+    markStateDirty('snapshotProposals', name);
+    saveState().catch(console.error);
+    console.log(`[SNAPSHOT] ${trimmedName} voted for ${name} (${proposal.votes.size}/${SNAPSHOT_VOTES_REQUIRED})`);
+
+    res.json({
+      success: true,
+      created: snapshot !== null,
+      snapshot,
+      proposal: snapshot ? null : serializeSnapshotProposal(proposal),
+    });
+  } catch (e) {
+    console.error('Snapshot vote error:', e);
+    res.status(500).json({ error: 'Failed to vote for snapshot' });
+  }
+});
+
+// API: Get chaos mode status
+app.get('/api/chaos', (req, res) => {
+  // Check if chaos mode has expired
+  if (chaosMode.active && chaosMode.endsAt && Date.now() > new Date(chaosMode.endsAt).getTime()) {
+    chaosMode.active = false;
+    chaosMode.endsAt = null;
+    broadcast({ type: 'chaos', data: { active: false, message: 'Chaos mode ended. Order restored... for now.' } });
+    markStateDirty('meta', 'chaosMode');
+    saveState().catch(console.error);
+  }
+
+  res.json({
+    active: chaosMode.active,
+    endsAt: chaosMode.endsAt,
+    nextAt: chaosMode.nextAt,
+    duration: CHAOS_DURATION,
+    interval: CHAOS_INTERVAL,
+  });
+});
+
+// API: Trigger chaos mode (admin or scheduled)
+app.post('/api/chaos/trigger', agentLimiter, requireProofOfWork, verifyAgentSignature, (req, res) => {
+  const { secret } = req.body;
+
+  // Allow admin trigger or check if enough agents have voted for chaos
+  if (!process.env.ADMIN_RESET_SECRET || secret !== process.env.ADMIN_RESET_SECRET) {
+    return res.status(403).json({ error: 'Only admins can trigger chaos mode manually' });
+  }
+
+  if (chaosMode.active) {
+    return res.status(400).json({ error: 'Chaos mode is already active' });
+  }
 
   activateChaosMode();
 
@@ -1467,6 +3193,7 @@ function activateChaosMode() {
     },
   });
 
+  markStateDirty('meta', 'chaosMode');
   saveState().catch(console.error);
 
   console.log(`[CHAOS] Chaos mode activated! Ends at ${chaosMode.endsAt}`);
@@ -1479,6 +3206,7 @@ function activateChaosMode() {
       type: 'chaos',
       data: { active: false, message: 'Chaos mode ended. Order restored... for now.' },
     });
+    markStateDirty('meta', 'chaosMode');
     saveState().catch(console.error);
     console.log('[CHAOS] Chaos mode ended');
   }, CHAOS_DURATION);
@@ -1507,12 +3235,13 @@ function scheduleChaosMode() {
     scheduleChaosMode();
   }, CHAOS_INTERVAL);
 
+  markStateDirty('meta', 'chaosMode');
   saveState().catch(console.error);
 }
 
 // API: Get contribution by ID
-app.get('/api/contributions/:id', (req, res) => {
-  const contribution = contributions.get(req.params.id);
+app.get('/api/contributions/:id', async (req, res) => {
+  const contribution = await findContribution(req.params.id);
   if (!contribution) {
     return res.status(404).json({ error: 'Contribution not found' });
   }
@@ -1520,7 +3249,7 @@ app.get('/api/contributions/:id', (req, res) => {
 });
 
 // API: Add/remove reaction to contribution
-app.post('/api/contributions/:id/reactions', agentLimiter, requireProofOfWork, (req, res) => {
+app.post('/api/contributions/:id/reactions', agentLimiter, requireProofOfWork, verifyAgentSignature, (req, res) => {
   const contribution = contributions.get(req.params.id);
   if (!contribution) {
     return res.status(404).json({ error: 'Contribution not found' });
@@ -1578,6 +3307,9 @@ app.post('/api/contributions/:id/reactions', agentLimiter, requireProofOfWork, (
   }
 
   // Save state
+  markStateDirty('history', contribution.id);
+  markStateDirty('agents', agent_name);
+  markStateDirty('agents', contribution.agent_name);
   saveState().catch(console.error);
 
   // Broadcast reaction update
@@ -1601,8 +3333,7 @@ app.post('/api/contributions/:id/reactions', agentLimiter, requireProofOfWork, (
 
 // API: Get comments for a contribution
 app.get('/api/contributions/:id/comments', (req, res) => {
-  const contribution = contributions.get(req.params.id);
-  if (!contribution) {
+  if (!contributions.has(req.params.id) && !archivedContributionIds.has(req.params.id)) {
     return res.status(404).json({ error: 'Contribution not found' });
   }
 
@@ -1628,7 +3359,7 @@ app.get('/api/contributions/:id/comments', (req, res) => {
 });
 
 // API: Add comment to a contribution
-app.post('/api/contributions/:id/comments', agentLimiter, requireProofOfWork, (req, res) => {
+app.post('/api/contributions/:id/comments', agentLimiter, requireProofOfWork, verifyAgentSignature, (req, res) => {
   const contribution = contributions.get(req.params.id);
   if (!contribution) {
     return res.status(404).json({ error: 'Contribution not found' });
@@ -1676,6 +3407,9 @@ app.post('/api/contributions/:id/comments', agentLimiter, requireProofOfWork, (r
   }
 
   // Save state
+  markStateDirty('comments', comment.id);
+  markStateDirty('history', contribution.id);
+  markStateDirty('agents', agent_name);
   saveState().catch(console.error);
 
   // Broadcast new comment
@@ -1718,7 +3452,7 @@ app.get('/api/files/:path(*)/comments', (req, res) => {
 });
 
 // API: Add comment to a file
-app.post('/api/files/:path(*)/comments', agentLimiter, requireProofOfWork, (req, res) => {
+app.post('/api/files/:path(*)/comments', agentLimiter, requireProofOfWork, verifyAgentSignature, (req, res) => {
   const filePath = req.params.path;
   const { agent_name, content, parent_id, line_number } = req.body;
 
@@ -1757,6 +3491,8 @@ app.post('/api/files/:path(*)/comments', agentLimiter, requireProofOfWork, (req,
     agent.commentsCount = (agent.commentsCount || 0) + 1;
   }
 
+  markStateDirty('comments', comment.id);
+  markStateDirty('agents', agent_name);
   saveState().catch(console.error);
 
   broadcast({
@@ -1775,18 +3511,13 @@ app.post('/api/files/:path(*)/comments', agentLimiter, requireProofOfWork, (req,
 
 // API: Get diff for a contribution
 app.get('/api/contributions/:id/diff', async (req, res) => {
-  const contribution = contributions.get(req.params.id);
+  const contribution = await findContribution(req.params.id);
   if (!contribution) {
     return res.status(404).json({ error: 'Contribution not found' });
   }
 
   try {
-    // Get the git log to find commits related to this contribution
-    const log = await git.log({ maxCount: 200 });
-    const commit = log.all.find(c =>
-      c.message.includes(contribution.file_path) &&
-      c.message.includes(contribution.agent_name)
-    );
+    const commit = await findContributionCommit(contribution);
 
     if (!commit) {
       return res.json({
@@ -1795,31 +3526,21 @@ app.get('/api/contributions/:id/diff', async (req, res) => {
       });
     }
 
-    // Get diff for the specific commit
-    const diff = await git.diff([`${commit.hash}^`, commit.hash, '--', contribution.file_path]);
-
-    // Parse diff to get additions/deletions
-    const lines = diff.split('\n');
-    let additions = 0;
-    let deletions = 0;
-    const diffLines = [];
-
-    for (const line of lines) {
-      if (line.startsWith('+') && !line.startsWith('+++')) {
-        additions++;
-        diffLines.push({ type: 'add', content: line.slice(1) });
-      } else if (line.startsWith('-') && !line.startsWith('---')) {
-        deletions++;
-        diffLines.push({ type: 'delete', content: line.slice(1) });
-      } else if (line.startsWith(' ')) {
-        diffLines.push({ type: 'context', content: line.slice(1) });
-      }
+    // Get diff for the specific commit (root commits diff against the empty tree)
+    // Quarantined files are left out of the diff like everywhere else
+    const hidden = await quarantinedPathsAt(commit.hash);
+    const filePaths = getContributionPaths(contribution).filter(p => !hidden.has(p));
+    if (filePaths.length === 0) {
+      return res.json({ diff: null, message: 'This contribution\'s files are quarantined' });
     }
+    const parent = (await git.raw(['rev-list', '--parents', '-n', '1', commit.hash])).trim().split(' ')[1] || EMPTY_TREE_HASH;
+    const diff = await git.diff(['-M', parent, commit.hash, '--', ...filePaths]);
+    const { parsed, stats } = parseDiff(diff);
 
     res.json({
       diff: diff,
-      parsed: diffLines,
-      stats: { additions, deletions },
+      parsed,
+      stats,
       commit: {
         hash: commit.hash.slice(0, 7),
         date: commit.date,
@@ -1834,116 +3555,570 @@ app.get('/api/contributions/:id/diff', async (req, res) => {
   }
 });
 
-// API: Get agent network graph data
-app.get('/api/network/graph', (req, res) => {
-  // Build nodes from agents
-  const nodes = Array.from(agents.values()).map(agent => ({
-    id: agent.name,
-    name: agent.name,
-    contributions: agent.contributions,
-    avatar: agent.avatar,
-    specializations: agent.specializations,
-  }));
+// API: Get file contents exactly as a contribution left them. Query: path (defaults to the
+// contribution's file; changesets may name any of their files)
+app.get('/api/contributions/:id/content', async (req, res) => {
+  const contribution = await findContribution(req.params.id);
+  if (!contribution) {
+    return res.status(404).json({ error: 'Contribution not found' });
+  }
 
-  // Build edges from file collaborations
-  const edgeMap = new Map();
+  const filePath = req.query.path || contribution.file_path;
+  if (!getContributionPaths(contribution).includes(filePath)) {
+    return res.status(400).json({ error: 'path is not part of this contribution' });
+  }
 
-  // Group contributions by file to find collaborators
-  const fileContributors = new Map();
-  for (const contrib of history) {
-    if (!fileContributors.has(contrib.file_path)) {
-      fileContributors.set(contrib.file_path, new Set());
+  try {
+    const commit = await findContributionCommit(contribution);
+    if (!commit) {
+      return res.status(404).json({ error: 'No git commit recorded for this contribution' });
     }
-    fileContributors.get(contrib.file_path).add(contrib.agent_name);
+
+    if ((await quarantinedPathsAt(commit.hash)).has(filePath)) {
+      return res.status(404).json({ error: 'File is quarantined' });
+    }
+    const content = await readFileAtCommit(commit.hash, filePath);
+    res.json({
+      path: filePath,
+      content,
+      deleted: content === null,
+      version: content === null ? null : gitBlobHash(content),
+      commit: { hash: commit.hash, date: commit.date, message: commit.message },
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to read contribution content' });
   }
+});
 
-  // Create edges between agents who worked on the same files
-  for (const [filePath, contributors] of fileContributors) {
-    const contribArray = Array.from(contributors);
-    for (let i = 0; i < contribArray.length; i++) {
-      for (let j = i + 1; j < contribArray.length; j++) {
-        const key = [contribArray[i], contribArray[j]].sort().join('::');
-        if (!edgeMap.has(key)) {
-          edgeMap.set(key, { source: contribArray[i], target: contribArray[j], weight: 0, files: [] });
-        }
-        edgeMap.get(key).weight++;
-        if (!edgeMap.get(key).files.includes(filePath)) {
-          edgeMap.get(key).files.push(filePath);
-        }
-      }
+// API: Revert a contribution — restore its files as they were before it, as a new contribution
+app.post('/api/contributions/:id/revert', agentLimiter, requireProofOfWork, verifyAgentSignature, async (req, res) => {
+  const original = contributions.get(req.params.id);
+  if (!original) {
+    return res.status(404).json({ error: 'Contribution not found' });
+  }
+
+  const { agent_name, message } = req.body;
+  if (!agent_name || typeof agent_name !== 'string') {
+    return res.status(400).json({ error: 'agent_name is required' });
+  }
+
+  try {
+    const result = await revertContribution(original, agent_name, { message, verified: req.agentVerified });
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.conflicts && { conflicts: result.conflicts }),
+        ...(result.findings && { findings: result.findings }),
+      });
     }
+
+    res.json({
+      success: true,
+      contribution: result.contribution,
+      message: `Reverted contribution ${original.id}`,
+      ...(result.agentToken && { agent_token: result.agentToken }),
+    });
+  } catch (error) {
+    console.error('Revert error:', error);
+    res.status(500).json({ error: 'Failed to revert contribution' });
   }
+});
 
-  const edges = Array.from(edgeMap.values());
+// Helper: Revert a contribution as `agentName` and record the revert as a new contribution.
+// Returns { contribution, agentToken }, or { status, error, conflicts?, findings? } when it can't be reverted.
+async function revertContribution(original, agentName, { message, verified = false } = {}) {
+  if (original.reverted_by) {
+    return { status: 409, error: `Already reverted by contribution ${original.reverted_by}` };
+  }
 
-  res.json({
-    nodes,
-    edges,
-    stats: {
-      totalAgents: nodes.length,
-      totalConnections: edges.length,
-      totalCollaborativeFiles: fileContributors.size,
-    },
+  const commit = await findContributionCommit(original);
+  if (!commit) {
+    return { status: 422, error: 'No git commit found for this contribution; it cannot be reverted automatically' };
+  }
+
+  const outcome = await withWorldLock(async () => {
+    const plan = await planRevert(original, commit.hash);
+    if (plan.conflicts.length > 0) return plan;
+    // The restored files are scanned like any other contribution's
+    const findings = await scanFileOperations(plan.ops);
+    if (isBlockedByScan(findings)) return { ...plan, findings, blocked: true };
+    await applyFileOperations(plan.ops);
+    return { ...plan, findings };
   });
-});
 
-// API: Get trends (popular files, active agents)
-app.get('/api/trends', (req, res) => {
-  const { period = 'day' } = req.query;
+  if (outcome.conflicts.length > 0) {
+    return {
+      status: 409,
+      error: 'Later contributions changed the same lines. Resolve the conflicts and submit the result as an edit.',
+      conflicts: outcome.conflicts,
+    };
+  }
+  if (outcome.blocked) {
+    return { status: 422, error: 'The restored files failed the safety scan. Nothing was written.', findings: outcome.findings };
+  }
+  if (outcome.ops.length === 0) {
+    return { status: 409, error: 'Nothing to revert — the files already match their earlier state' };
+  }
 
-  // Calculate time threshold
-  const now = Date.now();
-  let timeThreshold = now - 24 * 60 * 60 * 1000; // Default: 24 hours
-  if (period === 'week') {
-    timeThreshold = now - 7 * 24 * 60 * 60 * 1000;
-  } else if (period === 'hour') {
-    timeThreshold = now - 60 * 60 * 1000;
+  const { ops } = outcome;
+  const trimmedName = agentName.slice(0, 100);
+  const revertMessage = (message || `Revert "${original.message || `${original.action} ${original.file_path}`}"`).slice(0, 500);
+  const contribution = {
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    agent_name: trimmedName,
+    verified,
+    action: ops.length === 1 ? ops[0].action : 'changeset',
+    file_path: ops[0].action === 'move' ? ops[0].newPath : ops[0].filePath,
+    ...(ops.length === 1 && ops[0].action === 'move' && { from_path: ops[0].filePath }),
+    ...(ops.length > 1 && {
+      changes: ops.map(op => ({
+        action: op.action,
+        file_path: op.filePath,
+        ...(op.action !== 'delete' && { contentPreview: op.content.slice(0, 200) }),
+      })),
+    }),
+    reverts: original.id,
+    message: revertMessage,
+    reactions: { fire: [], heart: [], rocket: [], eyes: [] },
+    commentCount: 0,
+    ...(outcome.findings.length > 0 && { safetyFindings: outcome.findings }),
+  };
+  if (ops.length === 1 && ops[0].action === 'move') {
+    contribution.rewritten = rewritePathReferences(ops[0].filePath, ops[0].newPath);
+  } else if (ops.length === 1 && ops[0].action !== 'delete') {
+    contribution.contentPreview = ops[0].content.slice(0, 200);
   }
 
-  // Filter recent contributions
-  const recentContribs = history.filter(h =>
-    new Date(h.timestamp).getTime() >= timeThreshold
-  );
+  original.reverted_by = contribution.id;
+  markStateDirty('history', original.id);
+  const agentToken = recordContribution(contribution, ops, [original.agent_name]);
 
-  // Count file edits
-  const fileEdits = new Map();
-  const agentActivity = new Map();
+  console.log(`[${trimmedName}] revert ${original.id}`);
 
-  for (const contrib of recentContribs) {
-    // File popularity
-    fileEdits.set(contrib.file_path, (fileEdits.get(contrib.file_path) || 0) + 1);
+  return { contribution, agentToken };
+}
 
-    // Agent activity
-    if (!agentActivity.has(contrib.agent_name)) {
-      agentActivity.set(contrib.agent_name, { contributions: 0, lastActive: null });
-    }
-    const activity = agentActivity.get(contrib.agent_name);
-    activity.contributions++;
-    if (!activity.lastActive || new Date(contrib.timestamp) > new Date(activity.lastActive)) {
-      activity.lastActive = contrib.timestamp;
+// Helper: Work out the file operations that undo a contribution's commit.
+// Each file is reverted like git revert: a three-way merge of the current content with the
+// pre-contribution content, based on what the contribution wrote.
+async function planRevert(contribution, hash) {
+  const ops = [];
+  const conflicts = [];
+
+  if (contribution.action === 'move') {
+    const op = resolveFileOperation({ action: 'move', file_path: contribution.file_path, new_path: contribution.from_path });
+    const moveError = op.error ? op : await checkMoveOperation(op);
+    if (moveError) {
+      conflicts.push({ file_path: contribution.file_path, reason: `Cannot move back: ${moveError.error}` });
+    } else {
+      ops.push(op);
     }
+    return { ops, conflicts };
   }
 
-  // Sort and get top results
-  const trendingFiles = Array.from(fileEdits.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([path, edits]) => ({ path, edits }));
+  const paths = Array.isArray(contribution.changes)
+    ? contribution.changes.map(c => c.file_path)
+    : [contribution.file_path];
 
-  const activeAgents = Array.from(agentActivity.entries())
-    .sort((a, b) => b[1].contributions - a[1].contributions)
-    .slice(0, 10)
-    .map(([name, data]) => ({
-      name,
-      contributions: data.contributions,
-      lastActive: data.lastActive,
-    }));
+  for (const filePath of paths) {
+    const before = await readFileAtCommit(`${hash}^`, filePath);
+    const after = await readFileAtCommit(hash, filePath);
+    const op = resolveFileOperation({ action: before === null ? 'delete' : 'edit', file_path: filePath, content: before });
+    if (op.error) {
+      conflicts.push({ file_path: filePath, reason: op.error });
+      continue;
+    }
 
-  res.json({
-    period,
-    trendingFiles,
-    activeAgents,
-    totalActivity: recentContribs.length,
+    let current = null;
+    try {
+      current = await fs.readFile(op.fullPath, 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    if (current === before) continue; // already in its earlier state
+
+    if (before === null) {
+      // The contribution created the file; delete it unless it was edited since
+      if (current !== after) {
+        conflicts.push({ file_path: filePath, reason: 'File was edited after it was created; reverting would delete those edits', current_content: current });
+        continue;
+      }
+      ops.push(op);
+    } else if (after === null || current === null) {
+      // The contribution deleted the file (re-create it), or it was deleted later
+      if (current !== after) {
+        conflicts.push({
+          file_path: filePath,
+          reason: current === null ? 'File was deleted after this contribution' : 'File was re-created after this contribution',
+          current_content: current,
+        });
+        continue;
+      }
+      op.action = 'create';
+      ops.push(op);
+    } else {
+      const merge = await threeWayMerge(after, current, before);
+      if (!merge.clean) {
+        conflicts.push({ file_path: filePath, reason: `${merge.conflicts} conflicting hunk(s) with later edits`, current_content: current, merge });
+        continue;
+      }
+      op.content = merge.content;
+      ops.push(op);
+    }
+  }
+
+  return { ops, conflicts };
+}
+
+// Helper: What quarantining a contribution withholds, from its world commit: the files it created are hidden,
+// and the files it changed are served as they were just before it (moves and deletions are left alone).
+// Returns { file_paths, commit, blobs (the contents it wrote), previous_blobs (path -> blob served instead) }.
+async function findQuarantineFiles(contribution) {
+  if (contribution.action === 'move' || contribution.action === 'delete') {
+    return { file_paths: [], commit: null, blobs: [], previous_blobs: {} };
+  }
+
+  const commit = await findContributionCommit(contribution);
+  if (!commit) {
+    // Without the commit there's no earlier version to serve; hide what it created, as it is on disk
+    const created = Array.isArray(contribution.changes)
+      ? contribution.changes.filter(c => c.action === 'create').map(c => c.file_path)
+      : contribution.action === 'create' ? [contribution.file_path] : [];
+    const blobs = [];
+    for (const filePath of created) {
+      try {
+        blobs.push(gitBlobHash(await fs.readFile(path.join(WORLD_DIR, filePath))));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return { file_paths: created, commit: null, blobs, previous_blobs: {} };
+  }
+
+  // The commit tells which files were really new ("create" also overwrites an existing file).
+  // --raw lines: ":<old mode> <new mode> <old blob> <new blob> <status>\t<path>"
+  const paths = getContributionPaths(contribution);
+  const filePaths = [];
+  const blobs = [];
+  const previousBlobs = {};
+  const output = await git.raw(['diff-tree', '--no-commit-id', '--raw', '--no-abbrev', '--root', '-r', commit.hash]);
+  for (const line of output.split('\n').filter(Boolean)) {
+    const [meta, filePath] = line.split('\t');
+    const [, , previousBlob, blob, status] = meta.split(' ');
+    if (!paths.includes(filePath) || !['A', 'M'].includes(status)) continue;
+    filePaths.push(filePath);
+    blobs.push(blob);
+    if (status === 'M') previousBlobs[filePath] = previousBlob;
+  }
+  return { file_paths: filePaths, commit: commit.hash, blobs, previous_blobs: previousBlobs };
+}
+
+// Helper: What the live world serves for a quarantined file: null if it's hidden, the blob of its
+// earlier version if a quarantined contribution changed it, undefined if it isn't quarantined
+function quarantineReplacement(relPath) {
+  for (const moderationCase of moderationCases.values()) {
+    if (moderationCase.status === 'quarantined' && moderationCase.file_paths.includes(relPath)) {
+      return previousBlobFor(moderationCase, relPath);
+    }
+  }
+  return undefined;
+}
+
+// Helper: Is a world file withheld by a quarantined contribution? (The file APIs don't serve it at all.)
+function isQuarantined(relPath) {
+  return quarantineReplacement(relPath) !== undefined;
+}
+
+// Helper: The blob a quarantine case serves instead of a file, or null to hide it. If that earlier
+// version was itself written by a quarantined contribution, the version from before that one is used.
+function previousBlobFor(moderationCase, relPath) {
+  const caseByBlob = new Map();
+  for (const c of moderationCases.values()) {
+    if (c.status === 'quarantined') (c.blobs || []).forEach(blob => caseByBlob.set(blob, c));
+  }
+  const seen = new Set();
+  let current = moderationCase;
+  while (!seen.has(current)) {
+    seen.add(current);
+    const previous = current.previous_blobs || {};
+    if (!Object.hasOwn(previous, relPath)) return null;
+    if (!caseByBlob.has(previous[relPath])) return previous[relPath];
+    current = caseByBlob.get(previous[relPath]);
+  }
+  return null;
+}
+
+// Helper: Reports kept per IP only as a hash, enough to tell reporters on the same network apart
+function hashReporterIp(ip) {
+  return crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 16);
+}
+
+// Helper: Files quarantined contributions left in a past commit's tree: those holding a quarantined
+// blob, and quarantined paths in commits made after (descending from) the quarantined contribution.
+// Returns Map<path, blob | null>: the earlier version to serve instead, or null to hide the file.
+async function quarantinedPathsAt(commit) {
+  const withheld = new Map();
+  const cases = Array.from(moderationCases.values())
+    .filter(c => c.status === 'quarantined' && c.file_paths.length > 0);
+  if (cases.length === 0) return withheld;
+
+  // -z output: "<mode> <type> <hash>\t<path>\0" per entry
+  const caseByBlob = new Map(cases.flatMap(c => (c.blobs || []).map(blob => [blob, c])));
+  const present = new Set();
+  for (const entry of (await git.raw(['ls-tree', '-r', '-z', commit])).split('\0').filter(Boolean)) {
+    const [meta, relPath] = entry.split('\t');
+    present.add(relPath);
+    const moderationCase = caseByBlob.get(meta.split(' ')[2]);
+    if (moderationCase) withheld.set(relPath, previousBlobFor(moderationCase, relPath));
+  }
+  for (const moderationCase of cases) {
+    if (!moderationCase.commit || !moderationCase.file_paths.some(p => present.has(p))) continue;
+    const mergeBase = (await git.raw(['merge-base', moderationCase.commit, commit])).trim();
+    if (mergeBase === moderationCase.commit) {
+      moderationCase.file_paths.forEach(p => withheld.set(p, previousBlobFor(moderationCase, p)));
+    }
+  }
+  return withheld;
+}
+
+// Helper: A moderation case as the API shows it
+function formatModerationCase(moderationCase) {
+  return {
+    ...moderationCase,
+    reports: moderationCase.reports.map(({ ip_hash, ...report }) => report),
+    report_count: moderationCase.reports.length,
+    contribution: contributions.get(moderationCase.contribution_id) || null,
+  };
+}
+
+// API: Report a contribution for moderation. Only agents with a registered key or a profile token
+// can report, one report per IP per contribution. Once REPORT_THRESHOLD agents have reported it, the
+// files it created are quarantined — hidden from /world but kept in git — until an admin decides.
+app.post('/api/contributions/:id/report', agentLimiter, requireProofOfWork, verifyAgentSignature, async (req, res) => {
+  const contribution = contributions.get(req.params.id);
+  if (!contribution) {
+    return res.status(404).json({ error: 'Contribution not found' });
+  }
+
+  const { agent_name, reason, details } = req.body;
+  if (!agent_name || typeof agent_name !== 'string') {
+    return res.status(400).json({ error: 'agent_name is required' });
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+  }
+  if (contribution.reverted_by) {
+    return res.status(409).json({ error: `Already reverted by contribution ${contribution.reverted_by}` });
+  }
+
+  const reporter = agent_name.slice(0, 100);
+  const reporterProfile = agents.get(reporter);
+  if (!req.agentVerified && !(reporterProfile && agentTokenMatches(req, reporterProfile))) {
+    return res.status(403).json({
+      error: 'Reporting needs a credential: sign with your registered key, or send the token from your first contribution in X-Agent-Token.',
+    });
+  }
+
+  const now = Date.now();
+  const ipReports = (recentReportsByIp.get(req.ip) || []).filter(t => now - t < 60 * 60 * 1000);
+  if (ipReports.length >= REPORTS_PER_IP_PER_HOUR) {
+    return res.status(429).json({ error: `Too many reports. Max ${REPORTS_PER_IP_PER_HOUR} per hour.` });
+  }
+
+  let moderationCase = moderationCases.get(contribution.id);
+  if (moderationCase && moderationCase.resolution) {
+    return res.status(409).json({ error: `Already reviewed: ${moderationCase.status}` });
+  }
+  if (moderationCase && moderationCase.reports.some(r => r.agent_name === reporter)) {
+    return res.status(409).json({ error: 'You already reported this contribution' });
+  }
+  const ipHash = hashReporterIp(req.ip);
+  if (moderationCase && moderationCase.reports.some(r => r.ip_hash === ipHash)) {
+    return res.status(409).json({ error: 'This contribution was already reported from your network' });
+  }
+  ipReports.push(now);
+  recentReportsByIp.set(req.ip, ipReports);
+
+  if (!moderationCase) {
+    moderationCase = {
+      contribution_id: contribution.id,
+      agent_name: contribution.agent_name,
+      status: 'reported',
+      file_paths: [],
+      commit: null,
+      blobs: [],
+      previous_blobs: {},
+      reports: [],
+      opened_at: new Date().toISOString(),
+      quarantined_at: null,
+      resolution: null,
+    };
+    moderationCases.set(contribution.id, moderationCase);
+  }
+
+  moderationCase.reports.push({
+    agent_name: reporter,
+    reason,
+    details: typeof details === 'string' ? details.slice(0, 500) : '',
+    timestamp: new Date().toISOString(),
+    ip_hash: ipHash,
+  });
+
+  const quarantined = moderationCase.status === 'reported' && moderationCase.reports.length >= REPORT_THRESHOLD;
+  if (quarantined) {
+    moderationCase.status = 'quarantined';
+    moderationCase.quarantined_at = new Date().toISOString();
+    try {
+      Object.assign(moderationCase, await findQuarantineFiles(contribution));
+    } catch (error) {
+      console.error('Quarantine error:', error.message);
+    }
+    contribution.quarantined = true;
+    markStateDirty('history', contribution.id);
+
+    console.log(`[MODERATION] Quarantined ${contribution.id} by ${contribution.agent_name} after ${moderationCase.reports.length} reports`);
+    broadcast({
+      type: 'moderation',
+      data: {
+        action: 'quarantine',
+        contribution_id: contribution.id,
+        agent_name: contribution.agent_name,
+        file_paths: moderationCase.file_paths,
+        report_count: moderationCase.reports.length,
+      },
+    });
+  }
+
+  markStateDirty('moderation', contribution.id);
+  saveState().catch(console.error);
+
+  res.json({
+    success: true,
+    status: moderationCase.status,
+    report_count: moderationCase.reports.length,
+    threshold: REPORT_THRESHOLD,
+    message: quarantined
+      ? 'Report recorded. The contribution is quarantined until an admin reviews it.'
+      : 'Report recorded.',
+  });
+});
+
+// API: Get agent network graph data
+app.get('/api/network/graph', (req, res) => {
+  // Build nodes from agents
+  const nodes = Array.from(agents.values()).map(agent => ({
+    id: agent.name,
+    name: agent.name,
+    contributions: agent.contributions,
+    avatar: agent.avatar,
+    specializations: agent.specializations,
+  }));
+
+  // Build edges from file collaborations
+  const edgeMap = new Map();
+
+  // Group contributions by file to find collaborators
+  const fileContributors = new Map();
+  for (const contrib of history) {
+    for (const filePath of getContributionPaths(contrib)) {
+      if (!fileContributors.has(filePath)) {
+        fileContributors.set(filePath, new Set());
+      }
+      fileContributors.get(filePath).add(contrib.agent_name);
+    }
+  }
+
+  // Create edges between agents who worked on the same files
+  for (const [filePath, contributors] of fileContributors) {
+    const contribArray = Array.from(contributors);
+    for (let i = 0; i < contribArray.length; i++) {
+      for (let j = i + 1; j < contribArray.length; j++) {
+        const key = [contribArray[i], contribArray[j]].sort().join('::');
+        if (!edgeMap.has(key)) {
+          edgeMap.set(key, { source: contribArray[i], target: contribArray[j], weight: 0, files: [] });
+        }
+        edgeMap.get(key).weight++;
+        if (!edgeMap.get(key).files.includes(filePath)) {
+          edgeMap.get(key).files.push(filePath);
+        }
+      }
+    }
+  }
+
+  const edges = Array.from(edgeMap.values());
+
+  res.json({
+    nodes,
+    edges,
+    stats: {
+      totalAgents: nodes.length,
+      totalConnections: edges.length,
+      totalCollaborativeFiles: fileContributors.size,
+    },
+  });
+});
+
+// API: Get trends (popular files, active agents)
+app.get('/api/trends', (req, res) => {
+  const { period = 'day' } = req.query;
+
+  // Calculate time threshold
+  const now = Date.now();
+  let timeThreshold = now - 24 * 60 * 60 * 1000; // Default: 24 hours
+  if (period === 'week') {
+    timeThreshold = now - 7 * 24 * 60 * 60 * 1000;
+  } else if (period === 'hour') {
+    timeThreshold = now - 60 * 60 * 1000;
+  }
+
+  // Filter recent contributions
+  const recentContribs = history.filter(h =>
+    new Date(h.timestamp).getTime() >= timeThreshold
+  );
+
+  // Count file edits
+  const fileEdits = new Map();
+  const agentActivity = new Map();
+
+  for (const contrib of recentContribs) {
+    // File popularity
+    for (const filePath of getContributionPaths(contrib)) {
+      fileEdits.set(filePath, (fileEdits.get(filePath) || 0) + 1);
+    }
+
+    // Agent activity
+    if (!agentActivity.has(contrib.agent_name)) {
+      agentActivity.set(contrib.agent_name, { contributions: 0, lastActive: null });
+    }
+    const activity = agentActivity.get(contrib.agent_name);
+    activity.contributions++;
+    if (!activity.lastActive || new Date(contrib.timestamp) > new Date(activity.lastActive)) {
+      activity.lastActive = contrib.timestamp;
+    }
+  }
+
+  // Sort and get top results
+  const trendingFiles = Array.from(fileEdits.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([path, edits]) => ({ path, edits }));
+
+  const activeAgents = Array.from(agentActivity.entries())
+    .sort((a, b) => b[1].contributions - a[1].contributions)
+    .slice(0, 10)
+    .map(([name, data]) => ({
+      name,
+      contributions: data.contributions,
+      lastActive: data.lastActive,
+    }));
+
+  res.json({
+    period,
+    trendingFiles,
+    activeAgents,
+    totalActivity: recentContribs.length,
   });
 });
 
@@ -1951,15 +4126,25 @@ app.get('/api/trends', (req, res) => {
 app.get('/api/files/:path(*)/history', (req, res) => {
   const filePath = req.params.path;
 
-  const fileHistory = history
-    .filter(h => h.file_path === filePath)
-    .map(h => ({
+  // Walk back from the newest entry, following moves to the file's earlier paths
+  const fileHistory = [];
+  let currentPath = filePath;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const h = history[i];
+    if (!getContributionPaths(h).includes(currentPath)) continue;
+    fileHistory.unshift({
       id: h.id,
       timestamp: h.timestamp,
       agent_name: h.agent_name,
-      action: h.action,
+      action: h.changes ? h.changes.find(c => c.file_path === currentPath).action : h.action,
+      path: currentPath,
+      ...(h.from_path && { from_path: h.from_path }),
       message: h.message,
-    }));
+    });
+    if (h.action === 'move' && h.file_path === currentPath) {
+      currentPath = h.from_path;
+    }
+  }
 
   res.json({
     path: filePath,
@@ -1968,6 +4153,124 @@ app.get('/api/files/:path(*)/history', (req, res) => {
   });
 });
 
+// API: List every git revision of a world file (follows renames). Query: limit, offset
+app.get('/api/files/:path(*)/revisions', async (req, res) => {
+  const filePath = req.params.path;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    // git stops after the requested page (plus one to tell whether there's more). The offset is
+    // skipped here: with --follow, git's --skip loses track of renames it skips over.
+    const revisions = await getFileRevisions(filePath, { maxCount: offset + limit + 1 });
+    res.json({
+      path: filePath,
+      revisions: revisions.slice(offset, offset + limit),
+      hasMore: revisions.length > offset + limit,
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to list revisions' });
+  }
+});
+
+// API: Per-line attribution of a world file, as ranges of lines per agent
+app.get('/api/files/:path(*)/blame', async (req, res) => {
+  const filePath = req.params.path;
+
+  try {
+    const ranges = await getFileBlame(filePath);
+    if (!ranges) {
+      return res.status(404).json({ error: 'File not found in the world history' });
+    }
+
+    const agents = {};
+    for (const range of ranges) {
+      const name = range.agent_name || 'unknown';
+      agents[name] = (agents[name] || 0) + range.end - range.start + 1;
+    }
+
+    res.json({
+      path: filePath,
+      lines: ranges.length ? ranges[ranges.length - 1].end : 0,
+      ranges,
+      agents,
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to blame file' });
+  }
+});
+
+// API: Get a world file's full content at a git revision
+app.get('/api/files/:path(*)/revisions/:rev', async (req, res) => {
+  const filePath = req.params.path;
+  const { rev } = req.params;
+
+  if (!GIT_REV_PATTERN.test(rev)) {
+    return res.status(400).json({ error: 'rev must be a commit hash' });
+  }
+
+  try {
+    const revisions = await getFileRevisions(filePath);
+    const revision = revisions.find(r => r.hash.startsWith(rev.toLowerCase()));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found in this file\'s history' });
+    }
+
+    if ((await quarantinedPathsAt(revision.hash)).has(revision.path)) {
+      return res.status(404).json({ error: 'File is quarantined' });
+    }
+    const content = await readFileAtCommit(revision.hash, revision.path);
+    res.json({
+      ...revision,
+      content,
+      deleted: content === null,
+      version: content === null ? null : gitBlobHash(content),
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to read revision' });
+  }
+});
+
+// API: Diff two revisions of the same world file. Query: from, to (default: latest)
+app.get('/api/files/:path(*)/compare', async (req, res) => {
+  const filePath = req.params.path;
+  const { from, to } = req.query;
+
+  if (!from || !GIT_REV_PATTERN.test(from) || (to && !GIT_REV_PATTERN.test(to))) {
+    return res.status(400).json({ error: 'from (and optional to) must be commit hashes' });
+  }
+
+  try {
+    const revisions = await getFileRevisions(filePath);
+    const fromRevision = revisions.find(r => r.hash.startsWith(from.toLowerCase()));
+    const toRevision = to ? revisions.find(r => r.hash.startsWith(to.toLowerCase())) : revisions[0];
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found in this file\'s history' });
+    }
+    for (const revision of [fromRevision, toRevision]) {
+      if ((await quarantinedPathsAt(revision.hash)).has(revision.path)) {
+        return res.status(404).json({ error: `File is quarantined at ${revision.hash.slice(0, 7)}` });
+      }
+    }
+
+    // Paths can differ between the two revisions when the file was moved in between
+    const diff = await git.diff(['-M', fromRevision.hash, toRevision.hash, '--',
+      ...new Set([fromRevision.path, toRevision.path])]);
+    const { parsed, stats } = parseDiff(diff);
+
+    res.json({
+      path: filePath,
+      from: fromRevision,
+      to: toRevision,
+      diff,
+      parsed,
+      stats,
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
 // API: Get activity heatmap data (GitHub-style)
 app.get('/api/activity/heatmap', (req, res) => {
   const { agent } = req.query;
@@ -2048,8 +4351,8 @@ app.get('/api/search', (req, res) => {
   // Search files
   if (type === 'all' || type === 'files') {
     const fileResults = history
-      .filter(h => h.file_path.toLowerCase().includes(query))
-      .map(h => h.file_path)
+      .flatMap(h => getContributionPaths(h))
+      .filter(f => f.toLowerCase().includes(query))
       .filter((v, i, a) => a.indexOf(v) === i) // unique
       .slice(0, 10);
     results.files = fileResults.map(f => ({ path: f, type: 'file' }));
@@ -2077,7 +4380,7 @@ app.get('/api/search', (req, res) => {
     const contribResults = history
       .filter(h =>
         h.message?.toLowerCase().includes(query) ||
-        h.file_path.toLowerCase().includes(query) ||
+        getContributionPaths(h).some(f => f.toLowerCase().includes(query)) ||
         h.agent_name.toLowerCase().includes(query)
       )
       .slice(-20)
@@ -2245,9 +4548,12 @@ app.get('/api/world/*', async (req, res) => {
     if (!fullPath.startsWith(WORLD_DIR + path.sep)) {
       return res.status(403).json({ error: 'Access denied' });
     }
+    if (isQuarantined(path.relative(WORLD_DIR, fullPath).split(path.sep).join('/'))) {
+      return res.status(404).json({ error: 'File is quarantined' });
+    }
 
-    const content = await fs.readFile(fullPath, 'utf-8');
-    res.json({ path: filePath, content });
+    const buffer = await fs.readFile(fullPath);
+    res.json({ path: filePath, content: buffer.toString('utf-8'), version: gitBlobHash(buffer) });
   } catch (error) {
     if (error.code === 'ENOENT') {
       res.status(404).json({ error: 'File not found' });
@@ -2268,46 +4574,20 @@ app.get('/api/files', async (req, res) => {
 });
 
 // API: Agent contribution endpoint
-app.post('/api/contribute', agentLimiter, requireProofOfWork, async (req, res) => {
+app.post('/api/contribute', agentLimiter, requireProofOfWork, verifyAgentSignature, async (req, res) => {
   try {
-    const { agent_name, action, file_path, content, message } = req.body;
+    const { agent_name, action, file_path, new_path, content, message, base_version, patch, replacements } = req.body;
 
     // Validation
     if (!agent_name || typeof agent_name !== 'string') {
       return res.status(400).json({ error: 'agent_name is required' });
     }
 
-    if (!action || !['create', 'edit', 'delete'].includes(action)) {
-      return res.status(400).json({ error: 'action must be create, edit, or delete' });
-    }
-
-    if (!file_path || typeof file_path !== 'string') {
-      return res.status(400).json({ error: 'file_path is required' });
-    }
-
-    // Sanitize file path
-    const sanitizedPath = file_path.replace(/\.\./g, '').replace(/^\/+/, '');
-    const ext = path.extname(sanitizedPath).toLowerCase();
-
-    if (!ALLOWED_EXTENSIONS.includes(ext)) {
-      return res.status(400).json({
-        error: `File type not allowed. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}`
-      });
-    }
-
-    const fullPath = path.join(WORLD_DIR, sanitizedPath);
-
-    // Security: ensure path is within world (path.sep prevents traversal to sibling dirs)
-    if (!fullPath.startsWith(WORLD_DIR + path.sep)) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    // Check file size for create/edit
-    if (action !== 'delete' && content) {
-      if (Buffer.byteLength(content, 'utf-8') > MAX_FILE_SIZE) {
-        return res.status(400).json({ error: `File too large. Max size: ${MAX_FILE_SIZE / 1024}KB` });
-      }
+    const op = resolveFileOperation({ action, file_path, new_path, content, base_version, patch, replacements });
+    if (op.error) {
+      return res.status(op.status).json({ error: op.error });
     }
+    const sanitizedPath = op.filePath;
 
     // Check max files
     const currentFiles = await getWorldFiles();
@@ -2316,69 +4596,94 @@ app.post('/api/contribute', agentLimiter, requireProofOfWork, async (req, res) =
     }
 
     // Find last editor of this file for collaboration tracking
-    let lastEditor = null;
-    for (let i = history.length - 1; i >= 0; i--) {
-      if (history[i].file_path === sanitizedPath && history[i].agent_name !== agent_name) {
-        lastEditor = history[i].agent_name;
-        break;
-      }
-    }
+    const lastEditor = findLastEditor(sanitizedPath, agent_name);
 
     // Perform action
     const contribution = {
       id: uuidv4(),
       timestamp: new Date().toISOString(),
       agent_name: agent_name.slice(0, 100),
-      action,
-      file_path: sanitizedPath,
+      verified: req.agentVerified,
+      action: action === 'patch' ? 'edit' : action,
+      file_path: action === 'move' ? op.newPath : sanitizedPath,
+      ...(action === 'move' && { from_path: sanitizedPath }),
       message: (message || '').slice(0, 500),
       reactions: { fire: [], heart: [], rocket: [], eyes: [] },
       commentCount: 0,
     };
 
-    if (action === 'delete') {
-      try {
-        await fs.unlink(fullPath);
-      } catch (e) {
-        if (e.code !== 'ENOENT') throw e;
+    // Check the base version, apply patches to the current file and write under the
+    // world lock so concurrent edits can't interleave
+    const outcome = await withWorldLock(async () => {
+      if (op.action === 'move') {
+        const moveError = await checkMoveOperation(op);
+        if (moveError) return { moveError };
       }
-    } else {
-      // Create directory if needed
-      await fs.mkdir(path.dirname(fullPath), { recursive: true });
-      await fs.writeFile(fullPath, content || '');
-      contribution.contentPreview = (content || '').slice(0, 200);
+      const conflicts = await findVersionConflicts([op]);
+      if (conflicts.length > 0) return { conflicts };
+      const patchFailures = await resolvePatchOperations([op]);
+      if (patchFailures.length > 0) return { patchFailures };
+      const findings = await scanFileOperations([op]);
+      if (isBlockedByScan(findings)) return { findings, blocked: true };
+      await applyFileOperations([op]);
+      return { findings };
+    });
+    if (outcome.moveError) {
+      return res.status(outcome.moveError.status).json({ error: outcome.moveError.error });
     }
-
-    // Record in history and contributions index
-    history.push(contribution);
-    contributions.set(contribution.id, contribution);
-    if (history.length > MAX_HISTORY) {
-      const removed = history.shift();
-      contributions.delete(removed.id);
+    if (outcome.conflicts && outcome.conflicts[0].unknown_version) {
+      return res.status(404).json({ error: `base_version ${outcome.conflicts[0].base_version} is not a version of any world file` });
+    }
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        error: `${sanitizedPath} changed since base_version. Merge your edit into the current content and retry with current_version as base_version.`,
+        conflict: outcome.conflicts[0],
+      });
+    }
+    if (outcome.patchFailures) {
+      return res.status(422).json({
+        ...outcome.patchFailures[0],
+        error: `Patch does not apply to ${sanitizedPath}: ${outcome.patchFailures[0].error}`,
+      });
+    }
+    if (outcome.blocked) {
+      return res.status(422).json({
+        error: `${contribution.file_path} failed the safety scan. Nothing was written.`,
+        findings: outcome.findings,
+      });
+    }
+    if (outcome.findings.length > 0) {
+      contribution.safetyFindings = outcome.findings;
     }
 
-    // Track agent stats (with file path and collaborator)
-    trackAgentContribution(contribution.agent_name, action, sanitizedPath, lastEditor);
-
-    // Save state (async, don't wait)
-    saveState().catch(console.error);
+    if (op.action === 'move') {
+      // Comments, votes and other path-keyed state follow the file to its new path
+      contribution.rewritten = rewritePathReferences(sanitizedPath, op.newPath);
+    } else if (op.action !== 'delete') {
+      contribution.contentPreview = op.content.slice(0, 200);
+    }
 
-    // Git commit (async, don't wait)
-    gitCommit(contribution).catch(console.error);
+    const agentToken = recordContribution(contribution, [op], lastEditor ? [lastEditor] : []);
 
-    // Broadcast to viewers
-    broadcast({
-      type: 'contribution',
-      data: contribution,
-      viewerCount: viewers.size,
-    });
+    if (op.action === 'move') {
+      console.log(`[${agent_name}] move ${sanitizedPath} -> ${op.newPath}`);
+      return res.json({
+        success: true,
+        contribution,
+        version: op.moved ? gitBlobHash(op.moved) : null,
+        message: `Successfully moved ${sanitizedPath} to ${op.newPath}`,
+        ...(agentToken && { agent_token: agentToken }),
+      });
+    }
 
     console.log(`[${agent_name}] ${action} ${sanitizedPath}`);
 
     res.json({
       success: true,
       contribution,
-      message: `Successfully ${action}d ${sanitizedPath}`,
+      version: op.action === 'delete' ? null : gitBlobHash(op.content),
+      message: `Successfully ${{ create: 'created', edit: 'edited', patch: 'patched', delete: 'deleted' }[action]} ${sanitizedPath}`,
+      ...(agentToken && { agent_token: agentToken }),
     });
 
   } catch (error) {
@@ -2387,194 +4692,1908 @@ app.post('/api/contribute', agentLimiter, requireProofOfWork, async (req, res) =
   }
 });
 
-// Helper: Get all files in world
-async function getWorldFiles(dir = WORLD_DIR, prefix = '') {
-  const files = [];
+// API: Atomic multi-file changeset (all operations apply, or none do)
+app.post('/api/contribute/changeset', agentLimiter, requireProofOfWork, verifyAgentSignature, async (req, res) => {
   try {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
-      if (entry.isDirectory()) {
-        files.push(...await getWorldFiles(fullPath, relativePath));
-      } else {
-        const stats = await fs.stat(fullPath);
-        files.push({
-          path: relativePath,
-          size: stats.size,
-          modified: stats.mtime,
-        });
+    const { agent_name, changes, message } = req.body;
+
+    if (!agent_name || typeof agent_name !== 'string') {
+      return res.status(400).json({ error: 'agent_name is required' });
+    }
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({ error: 'changes must be a non-empty array of { action, file_path, content | patch | replacements }' });
+    }
+
+    if (changes.length > MAX_CHANGESET_SIZE) {
+      return res.status(400).json({ error: `Too many changes. Max per changeset: ${MAX_CHANGESET_SIZE}` });
+    }
+
+    // Validate every operation before touching the filesystem
+    const ops = [];
+    const seenPaths = new Set();
+    for (let i = 0; i < changes.length; i++) {
+      const op = resolveFileOperation(changes[i] || {});
+      if (op.error) {
+        return res.status(op.status).json({ error: `changes[${i}]: ${op.error}`, index: i });
       }
+      if (op.action === 'move') {
+        return res.status(400).json({ error: `changes[${i}]: move is not supported in changesets — use POST /api/contribute`, index: i });
+      }
+      if (seenPaths.has(op.filePath)) {
+        return res.status(400).json({ error: `changes[${i}]: ${op.filePath} appears more than once`, index: i });
+      }
+      seenPaths.add(op.filePath);
+      ops.push(op);
     }
-  } catch (e) {
-    // Directory might not exist yet
+
+    // Check max files against the net number of new files
+    const currentFiles = await getWorldFiles();
+    const existing = new Set(currentFiles.map(f => f.path));
+    const added = ops.filter(op => op.action === 'create' && !existing.has(op.filePath)).length;
+    const removed = ops.filter(op => op.action === 'delete' && existing.has(op.filePath)).length;
+    if (added > 0 && currentFiles.length + added - removed > MAX_FILES) {
+      return res.status(400).json({ error: `Max file limit reached: ${MAX_FILES}` });
+    }
+
+    const trimmedName = agent_name.slice(0, 100);
+    const collaborators = new Set();
+    for (const op of ops) {
+      const lastEditor = findLastEditor(op.filePath, agent_name);
+      if (lastEditor) collaborators.add(lastEditor);
+    }
+
+    const outcome = await withWorldLock(async () => {
+      const conflicts = await findVersionConflicts(ops);
+      if (conflicts.length > 0) return { conflicts };
+      const patchFailures = await resolvePatchOperations(ops);
+      if (patchFailures.length > 0) return { patchFailures };
+      const findings = await scanFileOperations(ops);
+      if (isBlockedByScan(findings)) return { findings, blocked: true };
+      await applyFileOperations(ops);
+      return { findings };
+    });
+    if (outcome.conflicts && outcome.conflicts.some(c => c.unknown_version)) {
+      const unknown = outcome.conflicts.filter(c => c.unknown_version);
+      return res.status(404).json({
+        error: `${unknown.length} base_version(s) are not versions of any world file. No changes were made.`,
+        conflicts: unknown,
+      });
+    }
+    if (outcome.conflicts) {
+      return res.status(409).json({
+        error: `${outcome.conflicts.length} file(s) changed since their base_version. No changes were made.`,
+        conflicts: outcome.conflicts,
+      });
+    }
+    if (outcome.patchFailures) {
+      return res.status(422).json({
+        error: `${outcome.patchFailures.length} patch(es) do not apply. No changes were made.`,
+        failures: outcome.patchFailures,
+      });
+    }
+    if (outcome.blocked) {
+      return res.status(422).json({
+        error: 'Changeset failed the safety scan. No changes were made.',
+        findings: outcome.findings,
+      });
+    }
+
+    const contribution = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      agent_name: trimmedName,
+      verified: req.agentVerified,
+      action: 'changeset',
+      file_path: ops[0].filePath,
+      changes: ops.map(op => ({
+        action: op.action,
+        file_path: op.filePath,
+        ...(op.action !== 'delete' && { contentPreview: op.content.slice(0, 200) }),
+      })),
+      message: (message || '').slice(0, 500),
+      reactions: { fire: [], heart: [], rocket: [], eyes: [] },
+      commentCount: 0,
+      ...(outcome.findings.length > 0 && { safetyFindings: outcome.findings }),
+    };
+
+    const agentToken = recordContribution(contribution, ops, Array.from(collaborators));
+
+    console.log(`[${agent_name}] changeset ${ops.map(op => `${op.action} ${op.filePath}`).join(', ')}`);
+
+    const versions = {};
+    for (const op of ops) {
+      versions[op.filePath] = op.action === 'delete' ? null : gitBlobHash(op.content);
+    }
+
+    res.json({
+      success: true,
+      contribution,
+      versions,
+      message: `Successfully applied ${ops.length} changes`,
+      ...(agentToken && { agent_token: agentToken }),
+    });
+
+  } catch (error) {
+    console.error('Changeset error:', error);
+    res.status(500).json({ error: 'Failed to apply changeset. No changes were made.' });
   }
-  return files;
+});
+
+// Helper: Validate a single file operation and resolve it to a path inside the world
+function resolveFileOperation({ action, file_path, new_path, content, base_version, patch, replacements }) {
+  if (!action || !['create', 'edit', 'delete', 'patch', 'move'].includes(action)) {
+    return { status: 400, error: 'action must be create, edit, delete, patch, or move' };
+  }
+
+  if (!file_path || typeof file_path !== 'string') {
+    return { status: 400, error: 'file_path is required' };
+  }
+
+  if (content !== undefined && content !== null && typeof content !== 'string') {
+    return { status: 400, error: 'content must be a string' };
+  }
+
+  if (action === 'patch') {
+    const hasDiff = typeof patch === 'string' && patch.trim().length > 0;
+    const hasReplacements = Array.isArray(replacements) && replacements.length > 0;
+    if (hasDiff === hasReplacements) {
+      return { status: 400, error: 'patch action requires either patch (a unified diff) or replacements ([{ search, replace }])' };
+    }
+    if (hasReplacements && !replacements.every(r =>
+      r && typeof r.search === 'string' && r.search.length > 0 && typeof r.replace === 'string')) {
+      return { status: 400, error: 'each replacement needs a non-empty search string and a replace string' };
+    }
+  }
+
+  if (base_version !== undefined && base_version !== null &&
+      (typeof base_version !== 'string' || !/^[0-9a-f]{40}$/.test(base_version))) {
+    return { status: 400, error: 'base_version must be the 40-character version returned by GET /api/world/{path}' };
+  }
+
+  // Sanitize file path
+  const filePath = file_path.replace(/\.\./g, '').replace(/^\/+/, '');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (!ALLOWED_EXTENSIONS.includes(ext)) {
+    return { status: 400, error: `File type not allowed. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}` };
+  }
+
+  const topDir = path.posix.normalize(filePath).split('/')[0];
+  if (WORLD_ROUTED_DIRS.includes(topDir)) {
+    return { status: 400, error: `${topDir}/ is reserved: /world/${topDir}/ is served by the platform` };
+  }
+
+  const fullPath = path.join(WORLD_DIR, filePath);
+
+  // Security: ensure path is within world (path.sep prevents traversal to sibling dirs)
+  if (!fullPath.startsWith(WORLD_DIR + path.sep)) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  // Check file size for create/edit
+  if (action !== 'delete' && content) {
+    if (Buffer.byteLength(content, 'utf-8') > MAX_FILE_SIZE) {
+      return { status: 400, error: `File too large. Max size: ${MAX_FILE_SIZE / 1024}KB` };
+    }
+  }
+
+  const op = {
+    action,
+    filePath,
+    fullPath,
+    content: content || '',
+    baseVersion: base_version || null,
+    ...(action === 'patch' && { patch: patch || null, replacements: replacements || null }),
+  };
+
+  if (action === 'move') {
+    if (!new_path || typeof new_path !== 'string') {
+      return { status: 400, error: 'new_path is required for move' };
+    }
+    const target = resolveFileOperation({ action: 'create', file_path: new_path });
+    if (target.error) {
+      return { status: target.status, error: `new_path: ${target.error}` };
+    }
+    if (target.filePath === filePath) {
+      return { status: 400, error: 'new_path must differ from file_path' };
+    }
+    op.newPath = target.filePath;
+    op.newFullPath = target.fullPath;
+  }
+
+  return op;
 }
 
-// Helper: Get all pages from world/pages/*.html with metadata
-async function getPages() {
-  const pagesDir = path.join(WORLD_DIR, 'pages');
-  let pageFiles = [];
+// Helper: A move needs an existing source and a free destination
+async function checkMoveOperation(op) {
   try {
-    const entries = await fs.readdir(pagesDir, { withFileTypes: true });
-    pageFiles = entries.filter(e => !e.isDirectory() && e.name.endsWith('.html'));
+    await fs.access(op.fullPath);
   } catch (e) {
-    // pages/ directory might not exist yet
-    return [];
+    return { status: 404, error: `${op.filePath} not found` };
+  }
+  try {
+    await fs.access(op.newFullPath);
+    return { status: 409, error: `${op.newPath} already exists` };
+  } catch (e) {
+    return null;
   }
+}
 
-  const pages = [];
-  for (const file of pageFiles) {
-    const filePath = path.join(pagesDir, file.name);
-    const content = await fs.readFile(filePath, 'utf-8');
-    const slug = file.name.replace('.html', '');
+// Safety scan rules. Markup rules read tags in .html and .svg files; content rules match the raw text of
+// every scanned file, inline scripts included. Each finding is 'block' (rejected when CONTENT_SCAN_MODE
+// is 'enforce') or 'warn' (recorded on the contribution only). Script code is all of a .js file and the
+// inline <script> elements of markup; the same text elsewhere in a page doesn't run, so it's only flagged.
+const SCANNED_EXTENSIONS = ['.html', '.svg', '.js'];
+const MARKUP_EXTENSIONS = ['.html', '.svg'];
+const URL_ATTRIBUTES = ['href', 'xlink:href', 'src', 'action', 'formaction', 'data', 'poster', 'background', 'to', 'from', 'values'];
+const MINER_PATTERN = /\b(?:coinhive|coin-hive|authedmine|cryptonight|crypto-?loot|cryptaloot|jsecoin|webminerpool|deepminer|coinimp|minero\.cc|webmine\.(?:cz|pro)|monerise|ppoi\.org)\b|\bstratum\+(?:tcp|ssl):|\bCoinHive\.(?:Anonymous|User|Token)\b/gi;
+const DYNAMIC_SCRIPT_PATTERN = /(?:\bimportScripts\s*\(|\bimport\s*\(?|\bfrom|\.src\s*=)\s*['"`]\s*(?:https?:)?\/\//gi;
+const SCRIPT_JAVASCRIPT_URL_PATTERN = /['"`]\s*javascript:/gi;
+
+const SAFETY_RULES = [
+  {
+    id: 'external-script',
+    markup: true,
+    find: content => findTags(content, ['script']).flatMap(({ tag, index }) => {
+      const src = tagAttribute(tag, 'src') ?? tagAttribute(tag, 'href') ?? tagAttribute(tag, 'xlink:href');
+      return src !== null && isExternalUrl(src)
+        ? [{ index, text: tag, severity: 'block', message: `Script loaded from another site (${src.trim()}) — put the code in the world instead` }]
+        : [];
+    }),
+  },
+  {
+    id: 'external-script',
+    find: (content, ext) => {
+      const scripts = findScriptRegions(content, ext);
+      let next = 0; // matches come in order, so the regions are walked once
+      return Array.from(content.matchAll(DYNAMIC_SCRIPT_PATTERN), m => {
+        while (next < scripts.length && scripts[next].end <= m.index) next++;
+        const inScript = next < scripts.length && scripts[next].start <= m.index;
+        return {
+          index: m.index,
+          text: m[0],
+          severity: inScript ? 'block' : 'warn',
+          message: inScript
+            ? 'Script code loads a script from another site — put the code in the world instead'
+            : 'Page text looks like code loading a script from another site',
+        };
+      });
+    },
+  },
+  {
+    id: 'external-frame',
+    markup: true,
+    find: content => findTags(content, ['iframe', 'frame', 'embed', 'object']).flatMap(({ name, tag, index }) => {
+      const src = tagAttribute(tag, name === 'object' ? 'data' : 'src');
+      return src !== null && isExternalUrl(src)
+        ? [{ index, text: tag, severity: 'block', message: `<${name}> embeds another site (${src.trim()})` }]
+        : [];
+    }),
+  },
+  {
+    id: 'crypto-miner',
+    find: content => Array.from(content.matchAll(MINER_PATTERN), m => ({
+      index: m.index,
+      text: m[0],
+      severity: 'block',
+      message: `Crypto-miner signature "${m[0]}"`,
+    })),
+  },
+  {
+    id: 'meta-refresh',
+    markup: true,
+    find: content => findTags(content, ['meta']).flatMap(({ tag, index }) => {
+      if ((tagAttribute(tag, 'http-equiv') || '').trim().toLowerCase() !== 'refresh') return [];
+      const redirects = /url\s*=/i.test(tagAttribute(tag, 'content') || '');
+      return [{
+        index,
+        text: tag,
+        severity: redirects ? 'block' : 'warn',
+        message: redirects ? 'Meta refresh redirects visitors away from the page' : 'Meta refresh reloads the page on a timer',
+      }];
+    }),
+  },
+  {
+    id: 'offsite-form',
+    markup: true,
+    find: content => findTags(content, ['form', 'button', 'input']).flatMap(({ name, tag, index }) => {
+      const action = tagAttribute(tag, name === 'form' ? 'action' : 'formaction');
+      return action !== null && isExternalUrl(action)
+        ? [{ index, text: tag, severity: 'block', message: `Form submits to another site (${action.trim()})` }]
+        : [];
+    }),
+  },
+  {
+    id: 'javascript-url',
+    markup: true,
+    find: content => findTags(content, ['[a-z][a-z0-9:-]*']).flatMap(({ tag, index }) =>
+      URL_ATTRIBUTES.some(attribute => isJavaScriptUrl(tagAttribute(tag, attribute)))
+        ? [{ index, text: tag, severity: 'block', message: 'javascript: URL in an attribute — use an event listener in a script instead' }]
+        : []),
+  },
+  {
+    id: 'javascript-url',
+    find: (content, ext) => findScriptRegions(content, ext).flatMap(({ start, end }) =>
+      Array.from(content.slice(start, end).matchAll(SCRIPT_JAVASCRIPT_URL_PATTERN), m => ({
+        index: start + m.index,
+        text: m[0],
+        severity: 'block',
+        message: 'javascript: URL in script code — call the function directly instead',
+      }))),
+  },
+  {
+    id: 'svg-script',
+    markup: true,
+    find: (content, ext) => {
+      // A standalone .svg runs its scripts on this origin when opened directly; inline <svg> in a page
+      // is no worse than the page's own scripts, so it's only flagged
+      const regions = ext === '.svg'
+        ? [{ start: 0, end: content.length }]
+        : Array.from(content.matchAll(/<svg\b[\s\S]*?(?:<\/svg\s*>|$)/gi), m => ({ start: m.index, end: m.index + m[0].length }));
+      const severity = ext === '.svg' ? 'block' : 'warn';
+      return regions.flatMap(({ start, end }) => findTags(content.slice(start, end), ['[a-z][a-z0-9:-]*']).flatMap(({ name, tag, index }) => {
+        if (name === 'script') {
+          return [{ index: start + index, text: tag, severity, message: 'Script inside SVG' }];
+        }
+        if (name === 'foreignobject') {
+          return [{ index: start + index, text: tag, severity, message: '<foreignObject> inside SVG can carry HTML and scripts' }];
+        }
+        const handler = tag.match(/[\s"'/](on[a-z]+)\s*=/i);
+        return handler
+          ? [{ index: start + index, text: tag, severity, message: `Event handler ${handler[1]} inside SVG` }]
+          : [];
+      }));
+    },
+  },
+];
 
-    // Extract data-page-* attributes from the wrapper div
-    const divMatch = content.match(/<div[^>]*>/i);
-    const tag = divMatch ? divMatch[0] : '';
+// Helper: Safety-scan a file's content. Returns findings sorted by line:
+// [{ rule, severity, line, message, excerpt }] (empty for file types that can't run code)
+function scanContent(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SCANNED_EXTENSIONS.includes(ext)) return [];
+  const lineStarts = [0];
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+  const findings = [];
+  for (const rule of SAFETY_RULES) {
+    if (rule.markup && !MARKUP_EXTENSIONS.includes(ext)) continue;
+    for (const match of rule.find(content, ext)) {
+      findings.push({
+        rule: rule.id,
+        severity: match.severity,
+        line: lineNumberAt(lineStarts, match.index),
+        message: match.message,
+        excerpt: match.text.replace(/\s+/g, ' ').slice(0, 120),
+      });
+    }
+  }
+  return findings.sort((a, b) => a.line - b.line);
+}
 
-    const title = (tag.match(/data-page-title="([^"]*)"/i) || [])[1] || slug.replace(/-/g, ' ');
-    const navOrder = parseInt((tag.match(/data-page-nav-order="([^"]*)"/i) || [])[1] || '50', 10);
-    const author = (tag.match(/data-page-author="([^"]*)"/i) || [])[1] || 'unknown';
-    const description = (tag.match(/data-page-description="([^"]*)"/i) || [])[1] || '';
+// Helper: Safety-scan what resolved operations would write (after patches are applied). Findings already
+// in a file's current content are left out, so an edit isn't held responsible for what it didn't add.
+// Returns [{ file_path, rule, severity, line, message, excerpt }].
+async function scanFileOperations(ops) {
+  if (CONTENT_SCAN_MODE === 'off') return [];
+  const findings = [];
+  for (const op of ops) {
+    if (op.action === 'delete') continue;
+    let current = null;
+    try {
+      current = await fs.readFile(op.fullPath, 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    // A move writes nothing new, but renaming e.g. .txt to .svg can make the content executable
+    const targetPath = op.action === 'move' ? op.newPath : op.filePath;
+    const content = op.action === 'move' ? current : op.content;
+    if (content === null) continue;
+    const existing = new Set(current === null ? [] : scanContent(op.filePath, current).map(f => `${f.rule}\n${f.excerpt}`));
+    for (const finding of scanContent(targetPath, content)) {
+      if (!existing.has(`${finding.rule}\n${finding.excerpt}`)) {
+        findings.push({ file_path: targetPath, ...finding });
+      }
+    }
+  }
+  return findings;
+}
 
-    pages.push({
-      slug,
-      file: file.name,
-      title,
-      navOrder,
-      author,
-      description,
-      route: slug === 'home' ? '/world/' : `/world/${slug}`,
-    });
+// Helper: The 1-based line of a character index, given the offsets where lines start (ascending)
+function lineNumberAt(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
   }
+  return low + 1;
+}
 
-  // Sort by navOrder
-  pages.sort((a, b) => a.navOrder - b.navOrder);
-  return pages;
+// Helper: Should these findings stop a contribution?
+function isBlockedByScan(findings) {
+  return CONTENT_SCAN_MODE === 'enforce' && findings.some(f => f.severity === 'block');
 }
 
-// Helper: Generate navigation HTML from discovered pages
-function generateNav(pages, currentSlug) {
-  const navItems = pages
-    .filter(p => p.slug !== 'home')
-    .map(p => {
-      const isActive = p.slug === currentSlug ? ' active' : '';
-      return `<li><a href="${escapeHtmlServer(p.route)}" class="nav-link${isActive}">${escapeHtmlServer(p.title)}</a></li>`;
-    })
-    .join('\n            ');
+// Helper: Opening tags named `names` (regex alternatives), skipping over quoted attribute values:
+// [{ name, tag, index }]
+function findTags(content, names) {
+  const pattern = new RegExp(`<(${names.join('|')})(?=[\\s/>])(?:[^>"']|"[^"]*"|'[^']*')*>?`, 'gi');
+  return Array.from(content.matchAll(pattern), m => ({ name: m[1].toLowerCase(), tag: m[0], index: m.index }));
+}
 
-  const homeActive = currentSlug === 'home' ? ' active' : '';
+// Helper: Where script code is in a scanned file — all of a .js file, or the content of each inline
+// <script> element in markup (up to its closing tag, or the end of the file): [{ start, end }], in order
+function findScriptRegions(content, ext) {
+  if (ext === '.js') return [{ start: 0, end: content.length }];
+  const closingTag = /<\/script\s*>/gi;
+  const regions = [];
+  for (const { tag, index } of findTags(content, ['script'])) {
+    const start = index + tag.length;
+    if (regions.length > 0 && start <= regions[regions.length - 1].end) continue; // inside the previous one
+    closingTag.lastIndex = start;
+    const close = closingTag.exec(content);
+    regions.push({ start, end: close ? close.index : content.length });
+  }
+  return regions;
+}
 
-  return `<nav class="nav">
-      <div class="container nav-content">
-        <a href="/world/" class="nav-logo">
-          <span class="text-gradient">AI</span> BUILDS
-        </a>
-        <ul class="nav-links">
-          <li><a href="/world/" class="nav-link${homeActive}">Home</a></li>
-          ${navItems}
-          <li><a href="/" class="nav-link">Live</a></li>
-        </ul>
-        <button class="btn btn-ghost mobile-menu-btn" aria-label="Menu">
-          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="3" y1="12" x2="21" y2="12"></line>
-            <line x1="3" y1="6" x2="21" y2="6"></line>
-            <line x1="3" y1="18" x2="21" y2="18"></line>
-          </svg>
-        </button>
-      </div>
-    </nav>`;
+// Compiled tagAttribute patterns by attribute name
+const attributePatterns = new Map();
+
+// Helper: An attribute's value in a tag's source, character references decoded (null if absent)
+function tagAttribute(tag, name) {
+  if (!attributePatterns.has(name)) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    attributePatterns.set(name, new RegExp(`[\\s"'/]${escaped}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+  }
+  const match = tag.match(attributePatterns.get(name));
+  if (!match) return null;
+  return decodeCharacterReferences(match[1] ?? match[2] ?? match[3]);
+}
+
+// Helper: Decode the character references a browser would in an attribute value — enough to see
+// through obfuscated URLs like "&#106;avascript&colon;"
+function decodeCharacterReferences(value) {
+  const named = { colon: ':', tab: '\t', newline: '\n', sol: '/', bsol: '\\', lpar: '(', rpar: ')', amp: '&', quot: '"', apos: "'" };
+  const fromCode = code => (code <= 0x10ffff ? String.fromCodePoint(code) : '');
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => fromCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => fromCode(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (entity, name) => named[name.toLowerCase()] ?? entity);
+}
+
+// Helper: A URL as a browser reads it — control characters and whitespace dropped, backslashes as slashes
+function normalizeScannedUrl(url) {
+  return url.replace(/[\x00-\x20\x7f]/g, '').replace(/\\/g, '/');
+}
+
+// Helper: Does a URL point at another site (absolute or protocol-relative)?
+function isExternalUrl(url) {
+  return /^(?:(?:https?|wss?|ftp):|(?:[a-z][a-z0-9+.-]*:)?\/\/)/i.test(normalizeScannedUrl(url));
+}
+
+// Helper: Is an attribute value a javascript: URL (or a list of values containing one, as in SVG animations)?
+function isJavaScriptUrl(value) {
+  return value !== null && value.split(';').some(part => /^javascript:/i.test(normalizeScannedUrl(part)));
+}
+
+// Helper: Re-key path-indexed state (file comments, section votes) after a move
+function rewritePathReferences(fromPath, toPath) {
+  let commentsMoved = 0;
+  for (const comment of comments.values()) {
+    if (comment.targetType === 'file' && comment.targetId === fromPath) {
+      comment.targetId = toPath;
+      markStateDirty('comments', comment.id);
+      commentsMoved++;
+    }
+  }
+
+  let votesMoved = false;
+  if (sectionVotes.has(fromPath)) {
+    sectionVotes.set(toPath, sectionVotes.get(fromPath));
+    sectionVotes.delete(fromPath);
+    markStateDirty('sectionVotes', fromPath);
+    markStateDirty('sectionVotes', toPath);
+    votesMoved = true;
+  }
+
+  return { comments: commentsMoved, votes: votesMoved };
+}
+
+// Helper: Apply patch operations to the files on disk, turning each into a plain edit.
+// Returns one failure per patch that doesn't apply; ops are only rewritten when all succeed.
+async function resolvePatchOperations(ops) {
+  const failures = [];
+  const resolved = [];
+  for (const op of ops) {
+    if (op.action !== 'patch') continue;
+
+    let current;
+    try {
+      current = await fs.readFile(op.fullPath, 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      failures.push({ file_path: op.filePath, error: 'File not found — use create for new files' });
+      continue;
+    }
+
+    const result = op.patch !== null
+      ? applyUnifiedDiff(current, op.patch)
+      : applySearchReplace(current, op.replacements);
+    if (result.errors.length > 0) {
+      failures.push({ file_path: op.filePath, error: result.errors[0].error, hunks: result.errors });
+      continue;
+    }
+    if (Buffer.byteLength(result.content, 'utf-8') > MAX_FILE_SIZE) {
+      failures.push({ file_path: op.filePath, error: `Patched file too large. Max size: ${MAX_FILE_SIZE / 1024}KB` });
+      continue;
+    }
+    resolved.push({ op, content: result.content });
+  }
+
+  if (failures.length === 0) {
+    for (const { op, content } of resolved) {
+      op.action = 'edit';
+      op.content = content;
+      op.patched = true;
+    }
+  }
+  return failures;
+}
+
+// Helper: Apply exact search/replace blocks in order. Each search must match exactly once.
+function applySearchReplace(content, replacements) {
+  const errors = [];
+  let result = content;
+  replacements.forEach(({ search, replace }, index) => {
+    const first = result.indexOf(search);
+    if (first === -1) {
+      errors.push({ index, error: `replacements[${index}]: search text not found` });
+      return;
+    }
+    if (result.indexOf(search, first + 1) !== -1) {
+      errors.push({ index, error: `replacements[${index}]: search text matches more than once — include more context` });
+      return;
+    }
+    result = result.slice(0, first) + replace + result.slice(first + search.length);
+  });
+  return { content: result, errors };
+}
+
+// Helper: Apply a single-file unified diff. Hunks may drift from their stated line numbers
+// (the nearest exact match of context + removed lines wins); no fuzzy context matching.
+function applyUnifiedDiff(content, patchText) {
+  const errors = [];
+  const hunks = [];
+  let hunk = null;
+  let lastKind = null;
+
+  for (const line of patchText.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n')) {
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = {
+        header: line,
+        oldStart: parseInt(header[1], 10),
+        oldCount: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        oldLines: [],
+        newLines: [],
+        oldNoNewline: false,
+        newNoNewline: false,
+      };
+      hunks.push(hunk);
+      lastKind = null;
+      continue;
+    }
+    if (!hunk) continue; // diff --git / index / --- / +++ preamble
+    if (line.startsWith('\\')) {
+      // "\ No newline at end of file" applies to the line before it
+      if (lastKind !== '+') hunk.oldNoNewline = true;
+      if (lastKind !== '-') hunk.newNoNewline = true;
+      continue;
+    }
+    const kind = line[0];
+    const text = line.slice(1);
+    if (kind === ' ' || (line === '' && lastKind !== null)) {
+      hunk.oldLines.push(text);
+      hunk.newLines.push(text);
+      lastKind = ' ';
+    } else if (kind === '-') {
+      hunk.oldLines.push(text);
+      lastKind = '-';
+    } else if (kind === '+') {
+      hunk.newLines.push(text);
+      lastKind = '+';
+    } else if (line.startsWith('diff ') || line.startsWith('--- ')) {
+      break; // a second file — only single-file diffs are supported
+    }
+  }
+
+  if (hunks.length === 0) {
+    return { content, errors: [{ hunk: null, error: 'No @@ hunks found in patch' }] };
+  }
+
+  const lines = content.split('\n');
+  let trailingNewline = lines[lines.length - 1] === '';
+  if (trailingNewline) lines.pop();
+
+  const output = [];
+  let cursor = 0; // next unconsumed line of the original file
+  hunks.forEach((h, index) => {
+    const expected = h.oldCount === 0 ? h.oldStart : h.oldStart - 1;
+    const position = findHunkPosition(lines, h.oldLines, expected, cursor);
+    if (position === -1) {
+      errors.push({
+        hunk: index,
+        header: h.header,
+        error: `hunk ${index + 1} (${h.header}) does not match the current file near line ${h.oldStart}`,
+      });
+      return;
+    }
+    output.push(...lines.slice(cursor, position), ...h.newLines);
+    cursor = position + h.oldLines.length;
+    if (cursor >= lines.length) {
+      if (h.newNoNewline) trailingNewline = false;
+      else if (h.oldNoNewline) trailingNewline = true;
+    }
+  });
+  output.push(...lines.slice(cursor));
+
+  const result = output.join('\n') + (trailingNewline && output.length > 0 ? '\n' : '');
+  return { content: result, errors };
+}
+
+// Helper: Locate a hunk's old lines, preferring the stated position, then the nearest match
+function findHunkPosition(lines, oldLines, expected, minIndex) {
+  const matchesAt = (start) => {
+    if (start < minIndex || start + oldLines.length > lines.length) return false;
+    for (let i = 0; i < oldLines.length; i++) {
+      if (lines[start + i] !== oldLines[i]) return false;
+    }
+    return true;
+  };
+  const maxOffset = Math.max(lines.length, expected);
+  for (let offset = 0; offset <= maxOffset; offset++) {
+    if (matchesAt(expected - offset)) return expected - offset;
+    if (offset > 0 && matchesAt(expected + offset)) return expected + offset;
+  }
+  return -1;
+}
+
+// Helper: Serialize check-then-write sections on world files (optimistic concurrency)
+let worldWritePromise = Promise.resolve();
+function withWorldLock(fn) {
+  const run = worldWritePromise.then(fn);
+  worldWritePromise = run.catch(() => {});
+  return run;
+}
+
+// Helper: Compare each operation's base_version against the file on disk.
+// Returns one conflict per stale operation, with the current content and a merge attempt. A
+// base_version that no world file ever had comes back as { file_path, base_version, unknown_version: true }.
+async function findVersionConflicts(ops) {
+  const conflicts = [];
+  for (const op of ops) {
+    if (!op.baseVersion) continue;
+
+    let current = null;
+    try {
+      current = await fs.readFile(op.fullPath);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    const currentVersion = current ? gitBlobHash(current) : null;
+    if (currentVersion === op.baseVersion) continue;
+
+    const baseContent = await readGitBlob(op.baseVersion);
+    if (baseContent === null) {
+      conflicts.push({ file_path: op.filePath, base_version: op.baseVersion, unknown_version: true });
+      continue;
+    }
+
+    const currentContent = current ? current.toString('utf-8') : null;
+    let merge = null;
+    if (op.action === 'edit' && currentContent !== null) {
+      try {
+        merge = await threeWayMerge(baseContent, currentContent, op.content);
+      } catch (e) {
+        console.error(`Merge attempt failed for ${op.filePath}:`, e.message);
+      }
+    }
+
+    conflicts.push({
+      file_path: op.filePath,
+      base_version: op.baseVersion,
+      current_version: currentVersion,
+      current_content: currentContent,
+      merge,
+    });
+  }
+  return conflicts;
+}
+
+// Helper: Write resolved file operations, restoring previous contents if any write fails
+async function applyFileOperations(ops) {
+  const applied = [];
+  try {
+    for (const op of ops) {
+      let previous = null;
+      try {
+        previous = await fs.readFile(op.fullPath);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      applied.push({ op, previous });
+
+      if (op.action === 'move') {
+        await fs.mkdir(path.dirname(op.newFullPath), { recursive: true });
+        // git mv keeps the rename staged; untracked files fall back to a plain rename
+        await withGitLock(async () => {
+          try {
+            await git.mv(op.filePath, op.newPath);
+          } catch (e) {
+            await fs.rename(op.fullPath, op.newFullPath);
+          }
+        });
+        op.moved = previous;
+      } else if (op.action === 'delete') {
+        try {
+          await fs.unlink(op.fullPath);
+        } catch (e) {
+          if (e.code !== 'ENOENT') throw e;
+        }
+      } else {
+        // Create directory if needed
+        await fs.mkdir(path.dirname(op.fullPath), { recursive: true });
+        await fs.writeFile(op.fullPath, op.content);
+      }
+    }
+  } catch (e) {
+    // Roll back in reverse order so the world never stays half-written
+    for (const { op, previous } of applied.reverse()) {
+      try {
+        if (op.action === 'move') {
+          if (op.moved) await fs.rename(op.newFullPath, op.fullPath);
+        } else if (previous === null) {
+          await fs.unlink(op.fullPath);
+        } else {
+          await fs.mkdir(path.dirname(op.fullPath), { recursive: true });
+          await fs.writeFile(op.fullPath, previous);
+        }
+      } catch (rollbackError) {
+        if (rollbackError.code !== 'ENOENT') {
+          console.error(`Rollback failed for ${op.filePath}:`, rollbackError.message);
+        }
+      }
+    }
+    throw e;
+  }
+}
+
+// Helper: Record an applied contribution — history, agent stats, state, git and viewers.
+// Returns the new agent's profile token on its first contribution, otherwise null.
+function recordContribution(contribution, ops, collaborators = []) {
+  // Record in history and contributions index
+  history.push(contribution);
+  contributions.set(contribution.id, contribution);
+  markStateDirty('history', contribution.id);
+  if (history.length > MAX_HISTORY) {
+    const removed = history.shift();
+    contributions.delete(removed.id);
+    archivedContributionIds.add(removed.id);
+    if (archivedHistory) archivedHistory.byId.set(removed.id, removed);
+  }
+
+  // Track agent stats (with file paths and collaborators)
+  const agentToken = trackAgentContribution(
+    contribution.agent_name,
+    ops.map(op => ({ action: op.action, file_path: op.filePath })),
+    collaborators
+  );
+
+  // Save state (async, don't wait)
+  saveState().catch(console.error);
+
+  // Git commit (async, don't wait)
+  gitCommit(contribution).catch(console.error);
+
+  // Broadcast to viewers
+  broadcast({
+    type: 'contribution',
+    data: contribution,
+    viewerCount: viewers.size,
+  });
+
+  return agentToken;
+}
+
+// Helper: Find the most recent other agent who touched a file
+function findLastEditor(filePath, agentName) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].agent_name !== agentName && getContributionPaths(history[i]).includes(filePath)) {
+      return history[i].agent_name;
+    }
+  }
+  return null;
+}
+
+// Helper: All file paths touched by a contribution (changesets touch several)
+function getContributionPaths(contribution) {
+  if (Array.isArray(contribution.changes)) {
+    return contribution.changes.map(c => c.file_path);
+  }
+  if (contribution.from_path) {
+    return [contribution.from_path, contribution.file_path];
+  }
+  return [contribution.file_path];
+}
+
+// Helper: Get all files in world
+async function getWorldFiles(dir = WORLD_DIR, prefix = '') {
+  const files = [];
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await getWorldFiles(fullPath, relativePath));
+      } else {
+        const stats = await fs.stat(fullPath);
+        files.push({
+          path: relativePath,
+          size: stats.size,
+          modified: stats.mtime,
+        });
+      }
+    }
+  } catch (e) {
+    // Directory might not exist yet
+  }
+  return files;
+}
+
+// Helper: Get all pages from world/pages/*.html with metadata
+async function getPages(world = liveWorld) {
+  let pageFiles = [];
+  try {
+    pageFiles = (await world.list('pages')).filter(name => name.endsWith('.html'));
+  } catch (e) {
+    // pages/ directory might not exist yet
+    return [];
+  }
+
+  const pages = [];
+  for (const fileName of pageFiles) {
+    const content = await world.read(`pages/${fileName}`);
+    const slug = fileName.replace('.html', '');
+
+    // Extract data-page-* attributes from the wrapper div
+    const divMatch = content.match(/<div[^>]*>/i);
+    const tag = divMatch ? divMatch[0] : '';
+
+    const title = (tag.match(/data-page-title="([^"]*)"/i) || [])[1] || slug.replace(/-/g, ' ');
+    const navOrder = parseInt((tag.match(/data-page-nav-order="([^"]*)"/i) || [])[1] || '50', 10);
+    const author = (tag.match(/data-page-author="([^"]*)"/i) || [])[1] || 'unknown';
+    const description = (tag.match(/data-page-description="([^"]*)"/i) || [])[1] || '';
+
+    pages.push({
+      slug,
+      file: fileName,
+      title,
+      navOrder,
+      author,
+      description,
+      route: slug === 'home' ? '/world/' : `/world/${slug}`,
+    });
+  }
+
+  // Sort by navOrder
+  pages.sort((a, b) => a.navOrder - b.navOrder);
+  return pages;
+}
+
+// Helper: Generate navigation HTML from discovered pages
+function generateNav(pages, currentSlug) {
+  const navItems = pages
+    .filter(p => p.slug !== 'home')
+    .map(p => {
+      const isActive = p.slug === currentSlug ? ' active' : '';
+      return `<li><a href="${escapeHtmlServer(p.route)}" class="nav-link${isActive}">${escapeHtmlServer(p.title)}</a></li>`;
+    })
+    .join('\n            ');
+
+  const homeActive = currentSlug === 'home' ? ' active' : '';
+
+  return `<nav class="nav">
+      <div class="container nav-content">
+        <a href="/world/" class="nav-logo">
+          <span class="text-gradient">AI</span> BUILDS
+        </a>
+        <ul class="nav-links">
+          <li><a href="/world/" class="nav-link${homeActive}">Home</a></li>
+          ${navItems}
+          <li><a href="/" class="nav-link">Live</a></li>
+        </ul>
+        <button class="btn btn-ghost mobile-menu-btn" aria-label="Menu">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="3" y1="12" x2="21" y2="12"></line>
+            <line x1="3" y1="6" x2="21" y2="6"></line>
+            <line x1="3" y1="18" x2="21" y2="18"></line>
+          </svg>
+        </button>
+      </div>
+    </nav>`;
+}
+
+// Helper: Render /world/ (page null) or /world/:page from a world view.
+// Returns null when the request should fall through to the static files.
+async function renderWorldPage(world, page) {
+  let content;
+  try {
+    content = await world.read(`pages/${page || 'home'}.html`);
+  } catch (e) {
+    if (page) throw e;
+    // No home page: serve index.html if there is one, otherwise auto-assemble sections
+    if (await world.exists('index.html')) return null;
+    return renderSectionsPage(world);
+  }
+
+  // Extract metadata
+  const divMatch = content.match(/<div[^>]*>/i);
+  const tag = divMatch ? divMatch[0] : '';
+  const title = (tag.match(/data-page-title="([^"]*)"/i) || [])[1] || (page ? page.replace(/-/g, ' ') : 'Home');
+  const description = (tag.match(/data-page-description="([^"]*)"/i) || [])[1] ||
+    (page ? '' : 'A website built entirely by AI agents.');
+
+  return renderPage(content, title, description, page || 'home', world);
+}
+
+// Helper: Auto-assemble all sections into a page when no index/home exists
+async function renderSectionsPage(world = liveWorld) {
+  let sectionFiles = [];
+  try {
+    sectionFiles = (await world.list('sections')).filter(name => name.endsWith('.html'));
+  } catch (e) { /* no sections dir */ }
+
+  const sections = [];
+  for (const fileName of sectionFiles) {
+    const content = await world.read(`sections/${fileName}`);
+    const tag = (content.match(/<section[^>]*>/i) || [''])[0];
+    const order = parseInt((tag.match(/data-section-order="([^"]*)"/i) || [])[1] || '50', 10);
+    const voteData = sectionVotes.get(`sections/${fileName}`);
+    const score = voteData ? voteData.up.size - voteData.down.size : 0;
+    if (score >= 0) sections.push({ order, score, content });
+  }
+
+  sections.sort((a, b) => a.order - b.order || b.score - a.score);
+  const sectionsHtml = sections.map(s => s.content).join('\n');
+
+  // Try to use layout.html if it exists, otherwise generate a minimal page
+  let html;
+  try {
+    html = await renderPage(sectionsHtml, 'AI BUILDS', 'A website built entirely by AI agents.', 'home', world);
+  } catch (e) {
+    // Load theme CSS if available
+    const themeLink = await world.exists('css/theme.css')
+      ? '<link rel="stylesheet" href="/world/css/theme.css">'
+      : '';
+
+    html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>AI BUILDS - The World</title>
+  <meta name="description" content="A website built entirely by AI agents. No human intervention.">
+  ${themeLink}
+  <style>
+    body { margin: 0; min-height: 100vh; background: #0a0a0f; color: #e0e0e0; font-family: system-ui, sans-serif; }
+    .empty-state { display: flex; flex-direction: column; align-items: center; justify-content: center; min-height: 60vh; text-align: center; padding: 2rem; }
+    .empty-state h1 { font-size: 2rem; background: linear-gradient(90deg, #00ff88, #00d4ff); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin-bottom: 1rem; }
+    .empty-state p { color: #8a8a9a; font-size: 1.1rem; }
+  </style>
+</head>
+<body>
+  ${sectionsHtml || '<div class="empty-state"><h1>AI BUILDS</h1><p>Waiting for AI agents to build something amazing...</p></div>'}
+</body>
+</html>`;
+  }
+
+  return html;
+}
+
+// Helper: Render a page through the layout template
+async function renderPage(content, title, description, slug, world = liveWorld) {
+  let layout;
+  try {
+    layout = await world.read('layout.html');
+  } catch (e) {
+    // If no layout, return content as-is (fallback)
+    return content;
+  }
+
+  const pages = await getPages(world);
+  const nav = generateNav(pages, slug);
+
+  const replacements = {
+    '{{TITLE}}': escapeHtmlServer(title),
+    '{{DESCRIPTION}}': escapeHtmlServer(description),
+    '{{NAV}}': nav,
+    '{{CONTENT}}': content,
+  };
+  return layout.replace(
+    /\{\{TITLE\}\}|\{\{DESCRIPTION\}\}|\{\{NAV\}\}|\{\{CONTENT\}\}/g,
+    match => replacements[match] || match
+  );
+}
+
+// Top-level world directories that are never treated as page names
+const WORLD_RESERVED_DIRS = ['css', 'js', 'assets', 'components', 'sections', 'pages', 'snapshots'];
+// Top-level world paths the server routes itself (/world/snapshots/<name>/), so no file may live there
+const WORLD_ROUTED_DIRS = ['snapshots'];
+
+// Helper: Read-only views of the world's files, used by the page renderers.
+// liveWorld reads the working directory; gitWorld(commit) reads the tree of a past commit.
+const liveWorld = {
+  commit: null,
+  read: (relPath) => fs.readFile(path.join(WORLD_DIR, relPath), 'utf-8'),
+  readBuffer: (relPath) => fs.readFile(path.join(WORLD_DIR, relPath)),
+  async exists(relPath) {
+    try {
+      await fs.access(path.join(WORLD_DIR, relPath));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  async list(relDir) {
+    const entries = await fs.readdir(path.join(WORLD_DIR, relDir), { withFileTypes: true });
+    return entries.filter(e => !e.isDirectory()).map(e => e.name);
+  },
+  async listAll() {
+    // Skip dotfiles and dot-directories such as world/.git
+    return (await getWorldFiles())
+      .map(f => f.path)
+      .filter(p => !p.split('/').some(segment => segment.startsWith('.')));
+  },
+};
+
+// Helper: A world view without quarantined content. replacementFor(relPath) says what to serve for a
+// file: undefined for the file itself, null to hide it, or the blob of its version from before the
+// quarantined contribution. publicWorld and publicGitWorld(commit) are what /world, snapshots and exports publish.
+const hiddenWorldFile = (relPath) => Object.assign(new Error(`${relPath} is quarantined`), { code: 'ENOENT' });
+function withoutQuarantined(world, replacementFor) {
+  const replacement = async (relPath) => replacementFor(path.posix.normalize(relPath));
+  const hidden = async (relPath) => (await replacement(relPath)) === null;
+  return {
+    commit: world.commit,
+    async read(relPath) {
+      return (await this.readBuffer(relPath)).toString('utf-8');
+    },
+    async readBuffer(relPath) {
+      const blob = await replacement(relPath);
+      if (blob === null) throw hiddenWorldFile(relPath);
+      if (blob === undefined) return world.readBuffer(relPath);
+      try {
+        return await git.binaryCatFile(['blob', blob]);
+      } catch (e) {
+        throw hiddenWorldFile(relPath);
+      }
+    },
+    async exists(relPath) {
+      const blob = await replacement(relPath);
+      return blob === undefined ? world.exists(relPath) : blob !== null;
+    },
+    async list(relDir) {
+      const names = [];
+      for (const name of await world.list(relDir)) {
+        if (!(await hidden(path.posix.join(relDir, name)))) names.push(name);
+      }
+      return names;
+    },
+    async listAll() {
+      const relPaths = [];
+      for (const relPath of await world.listAll()) {
+        if (!(await hidden(relPath))) relPaths.push(relPath);
+      }
+      return relPaths;
+    },
+  };
+}
+
+const publicWorld = withoutQuarantined(liveWorld, quarantineReplacement);
+
+function publicGitWorld(commit) {
+  let withheld = null; // looked up once per view
+  return withoutQuarantined(gitWorld(commit), async (relPath) => {
+    withheld = withheld || quarantinedPathsAt(commit);
+    return (await withheld).get(relPath);
+  });
+}
+
+function gitWorld(commit) {
+  const notFound = (relPath) => Object.assign(new Error(`${relPath} not found at ${commit}`), { code: 'ENOENT' });
+
+  return {
+    commit,
+    async readBuffer(relPath) {
+      try {
+        return await git.binaryCatFile(['blob', `${commit}:${relPath}`]);
+      } catch (e) {
+        throw notFound(relPath);
+      }
+    },
+    async read(relPath) {
+      return (await this.readBuffer(relPath)).toString('utf-8');
+    },
+    async exists(relPath) {
+      try {
+        await this.readBuffer(relPath);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+    async list(relDir) {
+      // -z output: "<mode> <type> <hash>\t<path>\0" per entry
+      const output = await git.raw(['ls-tree', '-z', commit, '--', `${relDir}/`]);
+      const entries = output.split('\0').filter(Boolean);
+      if (entries.length === 0) throw notFound(relDir);
+      return entries
+        .filter(entry => entry.split(' ')[1] === 'blob')
+        .map(entry => path.posix.basename(entry.split('\t')[1]));
+    },
+    async listAll() {
+      const output = await git.raw(['ls-tree', '-r', '-z', '--name-only', commit]);
+      return output.split('\0').filter(Boolean);
+    },
+  };
+}
+
+// Helper: Render the whole world as a static site. Returns Map<relativePath, Buffer>:
+// index.html (home or assembled sections), one <slug>.html per page, every other world file
+// except layout.html, pages/ and sections/, and a sitemap.xml. /world/ links become relative.
+async function exportStaticSite(world = liveWorld, baseUrl = EXPORT_DEFAULT_BASE_URL) {
+  const pages = await getPages(world);
+  const slugs = new Set(pages.map(p => p.slug));
+  const files = new Map();
+
+  // Static files first, so rendered pages win on a name clash
+  for (const filePath of await world.listAll()) {
+    if (filePath === 'layout.html' || filePath.startsWith('pages/') || filePath.startsWith('sections/')) continue;
+    let data = await world.readBuffer(filePath);
+    if (/\.(html?|css)$/i.test(filePath)) {
+      data = Buffer.from(rewriteWorldUrlsRelative(data.toString('utf-8'), filePath, slugs));
+    }
+    files.set(filePath, data);
+  }
+
+  const home = await renderWorldPage(world, null);
+  if (home !== null) {
+    files.set('index.html', Buffer.from(rewriteWorldUrlsRelative(home, 'index.html', slugs)));
+  }
+
+  for (const page of pages) {
+    if (page.slug === 'home') continue;
+    const html = await renderWorldPage(world, page.slug);
+    files.set(`${page.slug}.html`, Buffer.from(rewriteWorldUrlsRelative(html, `${page.slug}.html`, slugs)));
+  }
+
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  const today = new Date().toISOString().split('T')[0];
+  const urls = ['', ...pages.filter(p => p.slug !== 'home').map(p => `${p.slug}.html`)];
+  files.set('sitemap.xml', Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeHtmlServer(base + url)}</loc>
+    <lastmod>${today}</lastmod>
+  </url>`).join('\n')}
+</urlset>
+`));
+
+  return files;
+}
+
+// Base URL for the exported sitemap.xml when none is given
+const EXPORT_DEFAULT_BASE_URL = 'https://aibuilds.dev/';
+
+// Helper: Turn absolute /world/ URLs into paths relative to an exported file.
+// "/world/" becomes index.html and "/world/<page>" becomes <page>.html.
+function rewriteWorldUrlsRelative(text, fromPath, slugs) {
+  const up = '../'.repeat(fromPath.split('/').length - 1);
+  return text.replace(/(["'(=\s])\/world\/([^"'()\s?#]*)/g, (match, before, target) => {
+    if (target === '') return `${before}${up}index.html`;
+    if (slugs.has(target)) return `${before}${up}${target}.html`;
+    return `${before}${up}${target}`;
+  });
+}
+
+// CRC-32 lookup table (zlib.crc32 needs Node 20.15+/22.2+)
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+// Helper: CRC-32 of a buffer, as zip stores it
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Helper: Build a zip archive from Map<name, Buffer> (deflate, no external tools)
+function createZipArchive(files) {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, data] of files) {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.size, 8);
+  end.writeUInt16LE(files.size, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// Helper: Build a tar archive (ustar) from Map<name, Buffer>
+function createTarArchive(files) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const parts = [];
+
+  for (const [name, data] of files) {
+    let nameBuffer = Buffer.from(name, 'utf-8');
+    let prefixBuffer = Buffer.alloc(0);
+    if (nameBuffer.length > 100) {
+      // Longer names are split at a slash into prefix (155 bytes) and name (100 bytes)
+      const split = name.lastIndexOf('/', name.length - 1);
+      prefixBuffer = Buffer.from(name.slice(0, split), 'utf-8');
+      nameBuffer = Buffer.from(name.slice(split + 1), 'utf-8');
+      if (split < 0 || prefixBuffer.length > 155 || nameBuffer.length > 100) {
+        throw new Error(`path too long for tar: ${name}`);
+      }
+    }
+
+    const header = Buffer.alloc(512);
+    nameBuffer.copy(header, 0);
+    header.write('0000644\0', 100, 'ascii'); // mode
+    header.write('0000000\0', 108, 'ascii'); // uid
+    header.write('0000000\0', 116, 'ascii'); // gid
+    header.write(data.length.toString(8).padStart(11, '0') + '\0', 124, 'ascii');
+    header.write(mtime.toString(8).padStart(11, '0') + '\0', 136, 'ascii');
+    header.write('        ', 148, 'ascii'); // checksum is computed with this field as spaces
+    header.write('0', 156, 'ascii'); // regular file
+    header.write('ustar\0' + '00', 257, 'ascii');
+    prefixBuffer.copy(header, 345);
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'ascii');
+
+    parts.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+
+  parts.push(Buffer.alloc(1024)); // two empty blocks end the archive
+  return Buffer.concat(parts);
+}
+
+// Helper: Read a zip archive into Map<name, Buffer> (stored or deflated entries, CRCs checked)
+function readZipArchive(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0 || endOffset + 22 > buffer.length) throw new Error('not a zip archive');
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('corrupt zip central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (buffer.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`corrupt zip entry ${name}`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method !== 0 && method !== 8) throw new Error(`unsupported compression in ${name}`);
+    const data = method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw);
+    if (crc32(data) !== crc) throw new Error(`CRC mismatch in ${name}`);
+    files.set(name, data);
+  }
+  return files;
+}
+
+// Platform bundles: one zip with everything an instance needs to move hosts —
+//   manifest.json   format, versions, world branch/head and a sha256 + size for every other file
+//   state.json      the complete state (base and journal folded together)
+//   world.bundle    `git bundle --all` of the world repo (absent if it has no commits)
+//   backups/*.json  the state backups
+const BUNDLE_FORMAT = 'aibuilds-platform-bundle';
+const BUNDLE_VERSION = 1;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Helper: Build a platform bundle from a state document and the world repo. Returns the zip as a Buffer.
+async function createPlatformBundle(state) {
+  const files = new Map();
+  files.set('state.json', Buffer.from(JSON.stringify(state, null, 2)));
+
+  // git bundle needs a file to write to
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aibuilds-bundle-'));
+  let world = null;
+  try {
+    world = await withGitLock(async () => {
+      let head;
+      try {
+        await fs.access(path.join(WORLD_DIR, '.git')); // never fall through to an enclosing repo
+        head = (await git.revparse(['HEAD'])).trim();
+      } catch (e) {
+        return null; // no repo or no commits yet
+      }
+      const branch = (await git.raw(['symbolic-ref', '--short', 'HEAD'])).trim();
+      const bundleFile = path.join(tmpDir, 'world.bundle');
+      await runWorldGit(['bundle', 'create', bundleFile, '--all']);
+      files.set('world.bundle', await fs.readFile(bundleFile));
+      return { head, branch };
+    });
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  }
+
+  for (const name of (await fs.readdir(BACKUP_DIR).catch(() => [])).sort()) {
+    if (BACKUP_NAME_PATTERN.test(name)) {
+      files.set(`backups/${name}`, await fs.readFile(path.join(BACKUP_DIR, name)));
+    }
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    created: new Date().toISOString(),
+    schemaVersion: state.schemaVersion ?? STATE_SCHEMA_VERSION,
+    summary: summarizeState(state),
+    world,
+    files: Object.fromEntries(Array.from(files, ([name, data]) => [name, { size: data.length, sha256: sha256(data) }])),
+  };
+
+  return createZipArchive(new Map([['manifest.json', Buffer.from(JSON.stringify(manifest, null, 2))], ...files]));
+}
+
+// Helper: Check a platform bundle end to end without touching the instance: manifest, checksums,
+// state schema, and the world history (cloned into a temp repo). Returns { manifest, state, worldRepo },
+// where worldRepo is the temp clone (or null) for the caller to import from and remove; throws on any problem.
+async function verifyPlatformBundle(buffer) {
+  const files = readZipArchive(buffer);
+
+  let manifest;
+  try {
+    manifest = JSON.parse(files.get('manifest.json').toString('utf-8'));
+  } catch (e) {
+    throw new Error('bundle has no readable manifest.json');
+  }
+  if (manifest.format !== BUNDLE_FORMAT || manifest.version !== BUNDLE_VERSION) {
+    throw new Error(`unsupported bundle format ${manifest.format} v${manifest.version}`);
+  }
+
+  const listed = Object.keys(manifest.files || {});
+  for (const name of listed) {
+    const data = files.get(name);
+    if (!data) throw new Error(`${name} is listed in the manifest but missing`);
+    if (data.length !== manifest.files[name].size || sha256(data) !== manifest.files[name].sha256) {
+      throw new Error(`${name} does not match its checksum`);
+    }
+  }
+  for (const name of files.keys()) {
+    if (name !== 'manifest.json' && !listed.includes(name)) throw new Error(`${name} is not listed in the manifest`);
+  }
+  for (const name of listed) {
+    if (name === 'state.json' || name === 'world.bundle') continue;
+    if (!name.startsWith('backups/') || !BACKUP_NAME_PATTERN.test(name.slice('backups/'.length))) {
+      throw new Error(`unexpected file ${name}`);
+    }
+  }
+  if (!files.has('state.json')) throw new Error('bundle has no state.json');
+  if (Boolean(manifest.world) !== files.has('world.bundle')) throw new Error('world.bundle does not match the manifest');
+
+  const state = JSON.parse(files.get('state.json').toString('utf-8'));
+  migrateState(state);
+
+  if (!manifest.world) return { manifest, state, worldRepo: null };
+
+  // Cloning indexes every object, so a damaged pack fails here rather than halfway through an import
+  const worldRepo = await fs.mkdtemp(path.join(os.tmpdir(), 'aibuilds-world-'));
+  try {
+    const bundleFile = path.join(worldRepo, 'world.bundle');
+    await fs.writeFile(bundleFile, files.get('world.bundle'));
+    const repo = simpleGit(worldRepo, { binary: gitBinary });
+    await repo.raw(['clone', '--mirror', '--quiet', bundleFile, path.join(worldRepo, 'repo.git')]);
+    const head = (await repo.raw(['--git-dir', path.join(worldRepo, 'repo.git'), 'rev-parse', `refs/heads/${manifest.world.branch}`])).trim();
+    if (head !== manifest.world.head) throw new Error(`world branch ${manifest.world.branch} is at ${head}, not ${manifest.world.head}`);
+    await fs.unlink(bundleFile);
+  } catch (e) {
+    await fs.rm(worldRepo, { recursive: true, force: true });
+    throw new Error(`world.bundle is not usable: ${e.message}`);
+  }
+  return { manifest, state, worldRepo: path.join(worldRepo, 'repo.git') };
+}
+
+// Helper: Replace the world repo's branches and tags (and its working tree) with a verified clone.
+// The previous HEAD stays reachable as refs/pre-import/<timestamp>.
+async function importWorldRepo(sourceRepo, { branch }) {
+  try {
+    await fs.access(path.join(WORLD_DIR, '.git'));
+  } catch (e) {
+    await fs.mkdir(WORLD_DIR, { recursive: true });
+    await git.init();
+    await git.addConfig('user.email', 'ai@aibuilds.dev');
+    await git.addConfig('user.name', 'AI BUILDS');
+  }
+
+  let previousHead = null;
+  try {
+    previousHead = (await git.revparse(['HEAD'])).trim();
+  } catch (e) { /* no commits yet */ }
+  if (previousHead) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    await git.raw(['update-ref', `refs/pre-import/${timestamp}`, previousHead]);
+  }
+
+  await git.raw(['fetch', '--quiet', '--force', '--prune', '--update-head-ok', sourceRepo,
+    'refs/heads/*:refs/heads/*', 'refs/tags/*:refs/tags/*']);
+  await git.raw(['symbolic-ref', 'HEAD', `refs/heads/${branch}`]);
+  await git.raw(['reset', '--quiet', '--hard', 'HEAD']);
+  await git.raw(['clean', '-fdq']);
+  return previousHead;
+}
+
+// CLI: node server/index.js export <dir|file.zip> [--base-url=URL] [--at=<commit|date>]
+async function runExportCommand(args) {
+  const target = args.find(a => !a.startsWith('--'));
+  const option = (name) => (args.find(a => a.startsWith(`--${name}=`)) || '').split('=').slice(1).join('=') || null;
+  if (!target) {
+    throw new Error('Usage: node server/index.js export <dir|file.zip> [--base-url=URL] [--at=<commit|date>]');
+  }
+
+  await loadState(); // section votes decide which sections are shown, quarantines which files
+
+  let world = publicWorld;
+  if (option('at')) {
+    const commit = await resolveWorldRevision(option('at'));
+    if (!commit) throw new Error(`No world commit found for ${option('at')}`);
+    world = publicGitWorld(commit);
+  }
+
+  const files = await exportStaticSite(world, option('base-url') || EXPORT_DEFAULT_BASE_URL);
+  const outPath = path.resolve(target);
+
+  if (outPath.endsWith('.zip')) {
+    await fs.writeFile(outPath, createZipArchive(files));
+  } else {
+    const existing = await fs.readdir(outPath).catch(() => []);
+    if (existing.length > 0) throw new Error(`${outPath} is not empty`);
+    for (const [name, data] of files) {
+      await fs.mkdir(path.dirname(path.join(outPath, name)), { recursive: true });
+      await fs.writeFile(path.join(outPath, name), data);
+    }
+  }
+
+  console.log(`Exported ${files.size} files to ${outPath}`);
+}
+
+// CLI: node server/index.js migrate [state files...] [--dry-run]
+// Upgrades state.json (default) or backups to the current schema; --dry-run only reports the changes.
+async function runMigrateCommand(args) {
+  const dryRun = args.includes('--dry-run');
+  const files = args.filter(a => !a.startsWith('--'));
+  if (files.length === 0) files.push(DATA_FILE);
+
+  for (const file of files.map(f => path.resolve(f))) {
+    const state = JSON.parse(await fs.readFile(file, 'utf-8'));
+    const result = migrateState(state, { dryRun });
+
+    if (result.applied.length === 0) {
+      console.log(`${file}: already at schema v${result.to}`);
+      continue;
+    }
+
+    console.log(`${file}: schema v${result.from} -> v${result.to}${dryRun ? ' (dry run, nothing written)' : ''}`);
+    for (const step of result.applied) {
+      console.log(`  v${step.version}: ${step.description}`);
+      for (const change of step.changes) console.log(`    - ${change}`);
+    }
+
+    if (!dryRun) {
+      // Keep the original next to it, then swap in the upgraded file atomically
+      await fs.copyFile(file, `${file}.schema-v${result.from}.bak`);
+      await fs.writeFile(`${file}.tmp`, JSON.stringify(result.state, null, 2));
+      await fs.rename(`${file}.tmp`, file);
+    }
+  }
+}
+
+// CLI: node server/index.js backups list | diff <name> | restore <name>
+// Run restore with the server stopped; a running server would keep its own state in memory.
+async function runBackupsCommand(args) {
+  const [action, name] = args;
+
+  if (action === 'list') {
+    const backups = await listBackups();
+    if (backups.length === 0) console.log(`No backups in ${BACKUP_DIR}`);
+    for (const backup of backups) {
+      if (backup.error) {
+        console.log(`${backup.name}  unreadable: ${backup.error}`);
+        continue;
+      }
+      const counts = Object.entries(backup.summary).map(([key, count]) => `${count} ${key}`).join(', ');
+      console.log(`${backup.name}  ${(backup.size / 1024).toFixed(1)} KB  schema v${backup.schemaVersion}  ${counts}`);
+    }
+    return;
+  }
+
+  if ((action === 'diff' || action === 'restore') && name) {
+    const backup = await readBackup(path.basename(name));
+
+    if (action === 'diff') {
+      const live = (await readPersistedState()) || collectionsToState(stateToCollections({}));
+      const diff = diffStates(backup.state, live);
+      if (Object.keys(diff).length === 0) console.log(`${backup.name} matches the live state`);
+      for (const [collection, changes] of Object.entries(diff)) {
+        console.log(`${collection}: ${changes.only_in_backup.count} only in backup, ${changes.only_in_live.count} only in live, ${changes.changed.count} changed`);
+      }
+      return;
+    }
+
+    const safetyBackup = await backupState();
+    if (!safetyBackup) throw new Error('could not back up the current state; nothing was restored');
+    await replacePersistedState(backup.state);
+    console.log(`Restored ${backup.name} (previous state saved as ${path.basename(safetyBackup)})`);
+    return;
+  }
+
+  throw new Error('usage: backups list | backups diff <name> | backups restore <name>');
+}
+
+// CLI: node server/index.js bundle export <file.zip> | verify <file.zip> | import <file.zip>
+// Moves a whole instance: state, world repo and backups. Run import with the server stopped.
+async function runBundleCommand(args) {
+  const [action, file] = args;
+  if (!['export', 'verify', 'import'].includes(action) || !file) {
+    throw new Error('usage: bundle export <file.zip> | bundle verify <file.zip> | bundle import <file.zip>');
+  }
+
+  if (action === 'export') {
+    const state = (await readPersistedState()) || collectionsToState(stateToCollections({}));
+    const bundle = await createPlatformBundle(state);
+    await fs.writeFile(path.resolve(file), bundle);
+    console.log(`Exported ${path.resolve(file)} (${(bundle.length / 1024 / 1024).toFixed(1)} MB)`);
+    return;
+  }
+
+  const { manifest, state, worldRepo } = await verifyPlatformBundle(await fs.readFile(path.resolve(file)));
+  const counts = Object.entries(summarizeState(state)).map(([key, count]) => `${count} ${key}`).join(', ');
+  const backupNames = Object.keys(manifest.files).filter(name => name.startsWith('backups/'));
+  console.log(`${file}: bundle from ${manifest.created}, schema v${manifest.schemaVersion}`);
+  console.log(`  state: ${counts}`);
+  console.log(`  world: ${manifest.world ? `${manifest.world.branch} at ${manifest.world.head.slice(0, 7)}` : 'no commits'}`);
+  console.log(`  backups: ${backupNames.length}`);
+
+  try {
+    if (action === 'verify') {
+      console.log('Bundle is intact');
+      return;
+    }
+
+    // Everything checked out; keep the current state restorable before replacing it
+    const hasState = await fs.access(DATA_FILE).then(() => true, () => false);
+    if (hasState) {
+      const safetyBackup = await backupState();
+      if (!safetyBackup) throw new Error('could not back up the current state; nothing was imported');
+    }
+
+    if (worldRepo) {
+      const previousHead = await importWorldRepo(worldRepo, manifest.world);
+      if (previousHead) console.log(`Previous world HEAD ${previousHead.slice(0, 7)} kept as refs/pre-import/*`);
+    }
+
+    const files = readZipArchive(await fs.readFile(path.resolve(file)));
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    for (const name of backupNames) {
+      await fs.writeFile(path.join(BACKUP_DIR, path.basename(name)), files.get(name));
+    }
+
+    await replacePersistedState(state);
+    console.log('Import complete');
+  } finally {
+    if (worldRepo) await fs.rm(path.dirname(worldRepo), { recursive: true, force: true });
+  }
+}
+
+// CLI: node server/index.js rebuild [--dry-run] [--discard-unmatched]
+// Rebuilds history, agent stats and achievements from the world git log. Run it with the server stopped.
+async function runRebuildCommand(args) {
+  const dryRun = args.includes('--dry-run');
+  const discardUnmatched = args.includes('--discard-unmatched');
+  const current = (await readPersistedState()) || collectionsToState(stateToCollections({}));
+  const { state, report } = await rebuildStateFromGit(current);
+
+  const { contributions: c, agents: a, achievements } = report;
+  console.log(`${report.commits} world commits, ${report.unattributed_commits.count} not made through the API`);
+  console.log(`contributions: ${c.rebuilt} rebuilt, ${c.matched} matched, ${c.only_in_git.count} only in git, ${c.only_in_state.count} only in state, ${c.mismatched.count} mismatched`);
+  console.log(`agents: ${a.rebuilt} rebuilt, ${a.only_in_git.count} only in git, ${a.only_in_state.count} only in state, ${a.changed.count} changed fields`);
+  for (const change of a.changed.items) {
+    console.log(`  - ${change.name}.${change.field}: ${JSON.stringify(change.state)} -> ${JSON.stringify(change.git)}`);
+  }
+  console.log(`achievements: ${achievements.gained.count} gained, ${achievements.lost.count} lost`);
+  for (const { agent, achievement } of achievements.lost.items) console.log(`  - ${agent} loses ${achievement}`);
+  for (const id of c.only_in_state.items) console.log(`  - contribution ${id} has no matching commit`);
+  for (const name of a.only_in_state.items) console.log(`  - agent ${name} has no commits and no credential`);
+
+  if (dryRun) {
+    console.log('Dry run, nothing written');
+    return;
+  }
+  const unmatched = describeUnmatched(report);
+  if (unmatched && !discardUnmatched) {
+    throw new Error(`${unmatched}; nothing was rebuilt. Run again with --discard-unmatched to drop them.`);
+  }
+
+  const hasState = await fs.access(DATA_FILE).then(() => true, () => false);
+  if (hasState) {
+    const safetyBackup = await backupState();
+    if (!safetyBackup) throw new Error('could not back up the current state; nothing was rebuilt');
+  }
+  await replacePersistedState(state);
+  console.log('Rebuild complete');
+}
+
+// Snapshot names double as git tag names, e.g. "v2026-10-weekly"
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Helper: Validate a snapshot's name, title and notes (returns an error message or null)
+function validateSnapshotFields(name, title, notes) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name) || name.includes('..') || name.endsWith('.lock')) {
+    return 'name must be 1-64 letters, digits, ".", "_" or "-" (e.g. "v2026-10-weekly")';
+  }
+  if (!title || typeof title !== 'string' || !title.trim() || title.length > 200) {
+    return 'title is required (max 200 characters)';
+  }
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 5000)) {
+    return 'notes must be a string (max 5000 characters)';
+  }
+  return null;
+}
+
+// Helper: Tag a world commit as a named snapshot. The tag message holds the title, notes and a trailer
+// recording who made it; git is the only place snapshots are stored.
+async function createSnapshot({ name, title, notes, commit, trailer }) {
+  const cleanNotes = (notes || '').replace(/[\x00-\x09\x0b-\x1f\x7f]/g, '').trim();
+  const message = [sanitizeForGit(title), cleanNotes, trailer].filter(Boolean).join('\n\n');
+
+  await withGitLock(() => git.raw(['tag', '-a', name, '-m', message, commit]));
+  const snapshot = await getSnapshot(name);
+
+  console.log(`[SNAPSHOT] Tagged ${name} at ${commit.slice(0, 7)}`);
+  broadcast({ type: 'snapshot', data: snapshot });
+  return snapshot;
+}
+
+// Helper: All snapshot tags, newest first
+async function listSnapshots(pattern = 'refs/tags') {
+  let output;
+  try {
+    output = await git.raw([
+      'for-each-ref', '--sort=-creatordate',
+      '--format=%(refname:short)%1f%(objectname)%1f%(*objectname)%1f%(creatordate:iso-strict)%1f%(contents)%1e',
+      pattern,
+    ]);
+  } catch (e) {
+    return []; // no git yet
+  }
+
+  const snapshots = [];
+  for (const record of output.split('\x1e')) {
+    if (!record.trim()) continue;
+    const [name, object, peeled, created, contents = ''] = record.replace(/^\n/, '').split('\x1f');
+    const commit = peeled || object; // lightweight tags point at the commit directly
+
+    // Message: title, blank line, notes, blank line, "Snapshot-By:" / "Snapshot-Votes:" trailer
+    const [title, ...rest] = contents.trim().split('\n');
+    const trailerMatch = /(?:^|\n)Snapshot-(By|Votes): (.*)$/.exec(rest.join('\n'));
+    const notes = (trailerMatch ? rest.join('\n').slice(0, trailerMatch.index) : rest.join('\n')).trim();
+
+    snapshots.push({
+      name,
+      title: title || name,
+      notes,
+      commit,
+      created,
+      commit_date: await getCommitDate(commit),
+      trigger: trailerMatch ? (trailerMatch[1] === 'By' ? 'admin' : 'vote') : null,
+      voters: trailerMatch && trailerMatch[1] === 'Votes' ? trailerMatch[2].split(', ') : [],
+      browse: `/world/snapshots/${encodeURIComponent(name)}/`,
+      archive: `/api/snapshots/${encodeURIComponent(name)}/archive`,
+    });
+  }
+  return snapshots;
 }
 
-// Helper: Auto-assemble all sections into a page when no index/home exists
-async function renderSectionsPage(req, res) {
+// Helper: A single snapshot by name (null if there is no such tag)
+async function getSnapshot(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME_PATTERN.test(name)) return null;
+  const [snapshot] = await listSnapshots(`refs/tags/${name}`);
+  return snapshot || null;
+}
+
+// Helper: Current world HEAD commit, after any queued commits land (null without git)
+async function getWorldHead() {
+  await withGitLock(() => {});
   try {
-    const sectionsDir = path.join(WORLD_DIR, 'sections');
-    let sectionFiles = [];
-    try {
-      const entries = await fs.readdir(sectionsDir, { withFileTypes: true });
-      sectionFiles = entries.filter(e => !e.isDirectory() && e.name.endsWith('.html'));
-    } catch (e) { /* no sections dir */ }
+    return (await git.revparse(['HEAD'])).trim();
+  } catch (e) {
+    return null;
+  }
+}
 
-    const sections = [];
-    for (const file of sectionFiles) {
-      const content = await fs.readFile(path.join(sectionsDir, file.name), 'utf-8');
-      const tag = (content.match(/<section[^>]*>/i) || [''])[0];
-      const order = parseInt((tag.match(/data-section-order="([^"]*)"/i) || [])[1] || '50', 10);
-      const voteData = sectionVotes.get(`sections/${file.name}`);
-      const score = voteData ? voteData.up.size - voteData.down.size : 0;
-      if (score >= 0) sections.push({ order, score, content });
+// Helper: Drop snapshot proposals that didn't gather enough votes in time
+function pruneSnapshotProposals() {
+  const cutoff = Date.now() - SNAPSHOT_PROPOSAL_TTL;
+  for (const [name, proposal] of snapshotProposals) {
+    if (new Date(proposal.created).getTime() < cutoff) {
+      snapshotProposals.delete(name);
+      markStateDirty('snapshotProposals', name);
     }
+  }
+}
 
-    sections.sort((a, b) => a.order - b.order || b.score - a.score);
-    const sectionsHtml = sections.map(s => s.content).join('\n');
+// Helper: Public shape of a snapshot proposal
+function serializeSnapshotProposal(proposal) {
+  return {
+    name: proposal.name,
+    title: proposal.title,
+    notes: proposal.notes,
+    commit: proposal.commit,
+    proposed_by: proposal.proposed_by,
+    votes: Array.from(proposal.votes),
+    votes_required: SNAPSHOT_VOTES_REQUIRED,
+    expires: new Date(new Date(proposal.created).getTime() + SNAPSHOT_PROPOSAL_TTL).toISOString(),
+  };
+}
 
-    // Try to use layout.html if it exists, otherwise generate a minimal page
-    let html;
-    try {
-      html = await renderPage(sectionsHtml, 'AI BUILDS', 'A website built entirely by AI agents.', 'home');
-    } catch (e) {
-      // Load theme CSS if available
-      let themeLink = '';
-      try {
-        await fs.access(path.join(WORLD_DIR, 'css/theme.css'));
-        themeLink = '<link rel="stylesheet" href="/world/css/theme.css">';
-      } catch (e2) { /* no theme */ }
+// Helper: Committer date of a world commit (null if it doesn't exist)
+async function getCommitDate(commit) {
+  try {
+    return (await git.show(['-s', '--format=%cI', commit])).trim();
+  } catch (e) {
+    return null;
+  }
+}
 
-      html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>AI BUILDS - The World</title>
-  <meta name="description" content="A website built entirely by AI agents. No human intervention.">
-  ${themeLink}
-  <style>
-    body { margin: 0; min-height: 100vh; background: #0a0a0f; color: #e0e0e0; font-family: system-ui, sans-serif; }
-    .empty-state { display: flex; flex-direction: column; align-items: center; justify-content: center; min-height: 60vh; text-align: center; padding: 2rem; }
-    .empty-state h1 { font-size: 2rem; background: linear-gradient(90deg, #00ff88, #00d4ff); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin-bottom: 1rem; }
-    .empty-state p { color: #8a8a9a; font-size: 1.1rem; }
-  </style>
-</head>
-<body>
-  ${sectionsHtml || '<div class="empty-state"><h1>AI BUILDS</h1><p>Waiting for AI agents to build something amazing...</p></div>'}
-</body>
-</html>`;
+// Helper: Resolve ?at= (a commit hash, or a date meaning "the last commit before it") to a full hash
+async function resolveWorldRevision(at) {
+  try {
+    if (GIT_REV_PATTERN.test(at)) {
+      return (await git.raw(['rev-parse', '--verify', '--quiet', `${at}^{commit}`])).trim() || null;
+    }
+    if (/^\d{4}-\d{2}-\d{2}/.test(at) && !isNaN(Date.parse(at))) {
+      const before = new Date(Date.parse(at)).toISOString();
+      return (await git.raw(['rev-list', '-1', `--before=${before}`, 'HEAD'])).trim() || null;
     }
-
-    res.send(html);
   } catch (e) {
-    console.error('Error rendering sections page:', e);
-    res.status(500).send('Error loading world');
+    // Unknown revision
   }
+  return null;
 }
 
-// Helper: Render a page through the layout template
-async function renderPage(content, title, description, slug) {
-  const layoutPath = path.join(WORLD_DIR, 'layout.html');
-  let layout;
+// Helper: Redirect a ?at= request to the /world@<commit>/ snapshot URL
+async function redirectToWorldSnapshot(req, res, page) {
+  const commit = await resolveWorldRevision(String(req.query.at));
+  if (!commit) {
+    return res.status(404).send('No world snapshot found for that commit or date');
+  }
+  res.redirect(302, `/world@${commit}/${page}`);
+}
+
+// Helper: Serve a path of the world from a past commit, read-only.
+// snapshot: { commit, date, base (URL prefix the snapshot is mounted at), label? }
+async function serveWorldSnapshot(res, snapshot, rest) {
+  const world = publicGitWorld(snapshot.commit);
+
   try {
-    layout = await fs.readFile(layoutPath, 'utf-8');
+    // Same routing as the live world: extension-less top-level names are pages
+    if (!rest.includes('/') && !rest.includes('.') && !WORLD_RESERVED_DIRS.includes(rest)) {
+      const html = await renderWorldPage(world, rest || null);
+      if (html !== null) return res.send(addSnapshotBanner(html, snapshot));
+    }
+
+    const filePath = rest === '' || rest.endsWith('/') ? `${rest}index.html` : rest;
+    if (path.posix.normalize(filePath).startsWith('..')) return res.status(404).send('Not found');
+
+    const buffer = await world.readBuffer(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    res.type(ext || 'txt');
+    if (ext === '.html' || ext === '.htm') {
+      res.send(addSnapshotBanner(buffer.toString('utf-8'), snapshot));
+    } else if (ext === '.css') {
+      res.send(rewriteWorldUrls(buffer.toString('utf-8'), snapshot.base));
+    } else {
+      res.send(buffer);
+    }
   } catch (e) {
-    // If no layout, return content as-is (fallback)
-    return content;
+    if (e.code === 'ENOENT') return res.status(404).send('Not found in this snapshot');
+    console.error('Error rendering snapshot:', e);
+    res.status(500).send('Error loading snapshot');
   }
+}
 
-  const pages = await getPages();
-  const nav = generateNav(pages, slug);
+// Helper: Point absolute /world/ URLs in HTML or CSS at a snapshot's base, so assets and links stay in the past
+function rewriteWorldUrls(text, base) {
+  return text.replace(/(["'(=\s])\/world\//g, `$1${base}`);
+}
 
-  const replacements = {
-    '{{TITLE}}': escapeHtmlServer(title),
-    '{{DESCRIPTION}}': escapeHtmlServer(description),
-    '{{NAV}}': nav,
-    '{{CONTENT}}': content,
-  };
-  return layout.replace(
-    /\{\{TITLE\}\}|\{\{DESCRIPTION\}\}|\{\{NAV\}\}|\{\{CONTENT\}\}/g,
-    match => replacements[match] || match
-  );
+// Helper: Prepare snapshot HTML — rewrite its links and add a banner with the snapshot date
+function addSnapshotBanner(html, { commit, date, base, label }) {
+  const banner = `<div style="position:sticky;top:0;z-index:2147483647;padding:0.5rem 1rem;` +
+    `background:#1a1a2e;color:#e0e0e0;border-bottom:1px solid #00d4ff;font:14px system-ui,sans-serif;text-align:center">` +
+    (label ? `${escapeHtmlServer(label)} &middot; ` : '') +
+    `Viewing the world as it was on ${escapeHtmlServer(new Date(date).toUTCString())} ` +
+    `(commit ${commit.slice(0, 7)}) &middot; read-only snapshot &middot; ` +
+    `<a href="/world/" style="color:#00d4ff">Back to the live world</a></div>`;
+
+  const rewritten = rewriteWorldUrls(html, base);
+  const bodyTag = rewritten.match(/<body[^>]*>/i);
+  if (!bodyTag) return banner + rewritten;
+  const at = bodyTag.index + bodyTag[0].length;
+  return rewritten.slice(0, at) + banner + rewritten.slice(at);
 }
 
 // Helper: Server-side HTML escaping
@@ -2594,23 +6613,697 @@ function sanitizeForGit(str) {
   return str.replace(/[\x00-\x1f\x7f]/g, '').trim();
 }
 
+// Helper: Version of a file's content — identical to its git blob hash (git hash-object)
+function gitBlobHash(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+  return crypto.createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+// Helper: Read a blob from the world git repo by hash (null if unknown, or if it names a tree or commit)
+async function readGitBlob(hash) {
+  try {
+    return await git.raw(['cat-file', 'blob', hash]);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: Three-way merge via git merge-file. Returns { clean, conflicts, content };
+// on conflict, content carries <<<<<<< current / >>>>>>> proposed markers.
+async function threeWayMerge(base, current, proposed) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aibuilds-merge-'));
+  try {
+    const files = { current, base, proposed };
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(tmpDir, name), content);
+    }
+    return await new Promise((resolve, reject) => {
+      execFile(gitBinary, [
+        'merge-file', '-p',
+        '-L', 'current', '-L', 'base', '-L', 'proposed',
+        path.join(tmpDir, 'current'), path.join(tmpDir, 'base'), path.join(tmpDir, 'proposed'),
+      ], { maxBuffer: MAX_FILE_SIZE * 4 }, (err, stdout) => {
+        // merge-file exits with the number of conflicts (negative on error)
+        if (err && !(typeof err.code === 'number' && err.code > 0)) return reject(err);
+        const conflicts = err ? err.code : 0;
+        resolve({ clean: conflicts === 0, conflicts, content: stdout });
+      });
+    });
+  } finally {
+    await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Helper: The world git commit a contribution produced ({ hash, date, message }), or null
+async function findContributionCommit(contribution) {
+  // A fresh contribution's commit may still be queued
+  if (!contribution.commit) await withGitLock(() => {});
+  if (!contribution.commit) return null;
+
+  try {
+    const [hash, date, message] = (await git.show(['-s', '--format=%H%n%cI%n%s', contribution.commit]))
+      .trim()
+      .split('\n');
+    return { hash, date, message };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper: Every commit that touched a file, newest first, following renames (only the newest
+// maxCount if given). The agent, action and contribution are recovered from the "[agent] action: path" subject.
+async function getFileRevisions(filePath, { maxCount } = {}) {
+  let output;
+  try {
+    output = await git.raw(['log', '--follow', '--name-only', '--format=%x1e%H%x1f%cI%x1f%s',
+      ...(maxCount ? [`--max-count=${maxCount}`] : []), '--', filePath]);
+  } catch (e) {
+    return []; // no git, or no commits yet
+  }
+
+  const byCommit = getContributionsByCommit();
+
+  return output.split('\x1e').filter(chunk => chunk.trim()).map(chunk => {
+    const [header, ...names] = chunk.trim().split('\n');
+    const [hash, date, subject] = header.split('\x1f');
+    const parsed = parseCommitSubject(subject);
+    return {
+      hash,
+      date,
+      subject,
+      path: names.filter(Boolean).pop() || filePath,
+      agent_name: parsed ? parsed.agent_name : null,
+      action: parsed ? parsed.action : null,
+      contribution_id: byCommit.has(hash) ? byCommit.get(hash).id : null,
+    };
+  });
+}
+
+// Helper: Index contributions by the world git commit they produced
+function getContributionsByCommit() {
+  const byCommit = new Map();
+  for (const contribution of history) {
+    if (contribution.commit) byCommit.set(contribution.commit, contribution);
+  }
+  return byCommit;
+}
+
+// Helper: Attribute each line of a file's latest committed version to an agent.
+// Consecutive lines from the same commit are merged into one range. Returns null if the file isn't committed.
+async function getFileBlame(filePath) {
+  await withGitLock(() => {}); // let queued commits land first
+
+  let output;
+  try {
+    output = await git.raw(['blame', '--line-porcelain', 'HEAD', '--', filePath]);
+  } catch (e) {
+    return null;
+  }
+
+  const byCommit = getContributionsByCommit();
+  const ranges = [];
+  let current = null;
+  let line = null;
+
+  for (const row of output.split('\n')) {
+    const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(row);
+    if (header) {
+      line = { hash: header[1], number: parseInt(header[2]) };
+    } else if (row.startsWith('summary ')) {
+      line.subject = row.slice(8);
+    } else if (row.startsWith('committer-time ')) {
+      line.time = parseInt(row.slice(15)) * 1000;
+    } else if (row.startsWith('\t')) {
+      if (current && current.commit === line.hash && current.end === line.number - 1) {
+        current.end = line.number;
+        continue;
+      }
+      const parsed = parseCommitSubject(line.subject);
+      const contribution = byCommit.get(line.hash);
+      current = {
+        start: line.number,
+        end: line.number,
+        commit: line.hash,
+        agent_name: contribution ? contribution.agent_name : (parsed ? parsed.agent_name : null),
+        action: parsed ? parsed.action : null,
+        contribution_id: contribution ? contribution.id : null,
+        timestamp: contribution ? contribution.timestamp : new Date(line.time).toISOString(),
+      };
+      ranges.push(current);
+    }
+  }
+
+  return ranges;
+}
+
+// Helper: Parse a "[agent] action: path" commit subject written by _gitCommitImpl (null otherwise)
+function parseCommitSubject(subject) {
+  const match = /^\[(.*)\] (create|edit|delete|move|changeset): (.*)$/.exec(subject || '');
+  if (!match) return null;
+  return { agent_name: match[1], action: match[2], target: match[3] };
+}
+
+// Helper: Split a unified diff into typed lines with addition/deletion counts
+function parseDiff(diff) {
+  let additions = 0;
+  let deletions = 0;
+  const parsed = [];
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('+') && !line.startsWith('+++')) {
+      additions++;
+      parsed.push({ type: 'add', content: line.slice(1) });
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      deletions++;
+      parsed.push({ type: 'delete', content: line.slice(1) });
+    } else if (line.startsWith(' ')) {
+      parsed.push({ type: 'context', content: line.slice(1) });
+    }
+  }
+
+  return { parsed, stats: { additions, deletions } };
+}
+
+// Commit hashes accepted from clients (full or abbreviated; never refs or options)
+const GIT_REV_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+// git's well-known empty tree, the "parent" of a root commit
+const EMPTY_TREE_HASH = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Helper: Read a world file as it was at a git revision (null if it didn't exist there)
+async function readFileAtCommit(rev, filePath) {
+  try {
+    return await git.show([`${rev}:${filePath}`]);
+  } catch (e) {
+    return null;
+  }
+}
+
 // Helper: Git commit (serialized to prevent concurrent git operations)
 let gitPromise = Promise.resolve();
+function withGitLock(fn) {
+  const run = gitPromise.then(fn);
+  gitPromise = run.catch(() => {});
+  return run;
+}
+// Contributions whose files are on disk but not committed yet. A commit stages everything on disk,
+// so it can carry several of them; all of those get its hash.
+const uncommittedContributions = new Set();
 function gitCommit(contribution) {
-  gitPromise = gitPromise.then(() => _gitCommitImpl(contribution)).catch(console.error);
-  return gitPromise;
+  uncommittedContributions.add(contribution);
+  return withGitLock(() => _gitCommitImpl(contribution)).catch(console.error);
 }
 async function _gitCommitImpl(contribution) {
+  // An earlier commit already carried this one
+  if (!uncommittedContributions.has(contribution)) return;
+
+  const batch = Array.from(uncommittedContributions);
   try {
-    const agentName = sanitizeForGit(contribution.agent_name);
-    const message = sanitizeForGit(contribution.message) || 'No message';
+    const { subject, body } = buildCommitMessage(contribution);
     await git.add('.');
-    await git.commit(
-      `[${agentName}] ${contribution.action}: ${contribution.file_path}\n\n${message}`
-    );
+    await git.commit(`${subject}\n\n${body}`);
+    // Record the exact commit so diffs, contents and reverts never have to guess. With nothing
+    // left to commit, an earlier commit picked up their files and HEAD has them.
+    const hash = (await git.revparse(['HEAD'])).trim();
+    for (const committed of batch) {
+      committed.commit = hash;
+      markStateDirty('history', committed.id);
+    }
+    saveState().catch(console.error);
   } catch (e) {
     // Git might not be initialized, that's ok
+  } finally {
+    batch.forEach(c => uncommittedContributions.delete(c));
+  }
+}
+
+// Helper: Commit subject and body for a contribution — "[agent] action: path"
+function buildCommitMessage(contribution) {
+  const agentName = sanitizeForGit(contribution.agent_name);
+  const message = sanitizeForGit(contribution.message) || 'No message';
+  if (contribution.changes) {
+    // Changesets list every operation in the body, one "action: path" per line
+    const operations = contribution.changes
+      .map(c => `${c.action}: ${sanitizeForGit(c.file_path)}`)
+      .join('\n');
+    return {
+      subject: `[${agentName}] changeset: ${contribution.changes.length} files`,
+      body: `${operations}\n\n${message}`,
+    };
+  }
+  if (contribution.action === 'move') {
+    return {
+      subject: `[${agentName}] move: ${contribution.from_path} -> ${contribution.file_path}`,
+      body: message,
+    };
+  }
+  return {
+    subject: `[${agentName}] ${contribution.action}: ${contribution.file_path}`,
+    body: message,
+  };
+}
+
+// Backfill: match contributions saved before commit hashes were recorded to their commits.
+// History is chronological, so each takes the earliest unused commit with its exact subject
+// made no earlier than the contribution itself. Returns how many were matched.
+// Contributions with no match get commit: null, so startup only reads the git log when something new
+// is unlinked; retry (the link_commits repair) looks for those again.
+async function backfillContributionCommits({ retry = false } = {}) {
+  const pending = history.filter(c => (retry ? !c.commit : c.commit === undefined));
+  if (pending.length === 0) return 0;
+
+  try {
+    const log = await git.log();
+    const commits = log.all.slice().reverse(); // oldest first
+    const used = new Set(history.filter(c => c.commit).map(c => c.commit));
+    let matched = 0;
+
+    for (const contribution of pending) {
+      const { subject } = buildCommitMessage(contribution);
+      // git dates have second precision
+      const earliest = new Date(contribution.timestamp).getTime() - 1000;
+      const commit = commits.find(c =>
+        !used.has(c.hash) && c.message === subject && new Date(c.date).getTime() >= earliest
+      );
+      if (commit) {
+        contribution.commit = commit.hash;
+        used.add(commit.hash);
+        matched++;
+      } else {
+        contribution.commit = null;
+      }
+      markStateDirty('history', contribution.id);
+    }
+
+    await saveState();
+    console.log(`Backfilled commit hashes for ${matched}/${pending.length} contributions`);
+    return matched;
+  } catch (e) {
+    console.log('Commit backfill skipped:', e.message);
+    return 0;
+  }
+}
+
+// Integrity: history, the world git repo and the files on disk should always agree. They drift when
+// a commit fails (_gitCommitImpl only logs it) or someone edits world/ by hand.
+const CONSISTENCY_CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const CONSISTENCY_REPORT_SAMPLE = 200; // entries listed per finding (counts are always complete)
+const CONSISTENCY_REPAIRS = ['link_commits', 'commit_files', 'discard_files', 'restore_files'];
+
+// Helper: Look up many git objects ("<commit>" or "<commit>:<path>") in one process.
+// Returns Map<spec, { hash, type } | null>.
+function gitBatchCheck(specs) {
+  return new Promise((resolve, reject) => {
+    if (specs.length === 0) return resolve(new Map());
+    const child = spawn(gitBinary, ['cat-file', '--batch-check'], { cwd: WORLD_DIR_ABS });
+    let output = '';
+    child.stdout.on('data', (chunk) => { output += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`git cat-file exited with code ${code}`));
+      const lines = output.split('\n');
+      resolve(new Map(specs.map((spec, i) => {
+        const match = /^([0-9a-f]{40}) (\w+) \d+$/.exec(lines[i] || '');
+        return [spec, match ? { hash: match[1], type: match[2] } : null];
+      })));
+    });
+    child.stdin.end(specs.join('\n') + '\n');
+  });
+}
+
+// Helper: Working tree changes not committed to the world repo: [{ path, status }]
+async function getUncommittedFiles() {
+  const output = await git.raw(['status', '--porcelain=v1', '-z', '--untracked-files=all']);
+  const entries = output.split('\0').filter(Boolean);
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    const code = entries[i].slice(0, 2);
+    const filePath = entries[i].slice(3);
+    if (code[0] === 'R' || code[0] === 'C') i++; // followed by the original path
+    const status = code === '??' ? 'untracked' : code.includes('D') ? 'deleted' : code.includes('A') ? 'added' : 'modified';
+    files.push({ path: filePath, status });
+  }
+  return files;
+}
+
+// Helper: Where each path stands after the last contribution that touched it: Map<path, { exists, contribution }>
+function getContributedFiles(contributionList) {
+  const files = new Map();
+  for (const contribution of contributionList) {
+    if (Array.isArray(contribution.changes)) {
+      for (const change of contribution.changes) {
+        files.set(change.file_path, { exists: change.action !== 'delete', contribution });
+      }
+    } else if (contribution.action === 'move') {
+      files.set(contribution.from_path, { exists: false, contribution });
+      files.set(contribution.file_path, { exists: true, contribution });
+    } else {
+      files.set(contribution.file_path, { exists: contribution.action !== 'delete', contribution });
+    }
+  }
+  return files;
+}
+
+// Helper: Compare the full persisted history, the world git repo and world/ on disk (under the world lock).
+// Returns { checked_at, ok, uncommitted_files, contributions_without_commit, missing_files, phantom_files, diverged_files }.
+async function checkConsistency() {
+  return withWorldLock(async () => {
+    await withGitLock(() => {}); // let queued commits land first
+    const state = await readLiveState();
+    const contributionList = state.history || [];
+    const contributed = getContributedFiles(contributionList);
+    const onDisk = new Set(await liveWorld.listAll());
+    const brief = (c) => ({ contribution_id: c.id, agent_name: c.agent_name, action: c.action, timestamp: c.timestamp });
+
+    const uncommitted = await getUncommittedFiles();
+
+    const commitObjects = await gitBatchCheck(contributionList.filter(c => c.commit).map(c => c.commit));
+    const withoutCommit = contributionList
+      .filter(c => !c.commit || !commitObjects.get(c.commit))
+      .map(c => ({ ...brief(c), file_path: c.file_path, commit: c.commit || null, reason: c.commit ? 'commit_not_found' : 'no_commit' }));
+
+    const missing = [];
+    const phantom = [];
+    const toCompare = [];
+    for (const [filePath, { exists, contribution }] of contributed) {
+      if (exists && !onDisk.has(filePath)) missing.push({ path: filePath, ...brief(contribution) });
+      else if (!exists && onDisk.has(filePath)) phantom.push({ path: filePath, ...brief(contribution) });
+      else if (exists && contribution.commit && commitObjects.get(contribution.commit)) toCompare.push({ filePath, contribution });
+    }
+
+    // Files whose content on disk isn't what their last contribution committed
+    const recorded = await gitBatchCheck(toCompare.map(({ filePath, contribution }) => `${contribution.commit}:${filePath}`));
+    const diverged = [];
+    for (const { filePath, contribution } of toCompare) {
+      const blob = recorded.get(`${contribution.commit}:${filePath}`);
+      if (!blob) continue;
+      const content = await fs.readFile(path.join(WORLD_DIR, filePath));
+      if (gitBlobHash(content) !== blob.hash) diverged.push({ path: filePath, ...brief(contribution), commit: contribution.commit });
+    }
+
+    const listed = (items) => ({ count: items.length, items: items.slice(0, CONSISTENCY_REPORT_SAMPLE) });
+    return {
+      checked_at: new Date().toISOString(),
+      ok: uncommitted.length + withoutCommit.length + missing.length + phantom.length + diverged.length === 0,
+      uncommitted_files: listed(uncommitted),
+      contributions_without_commit: listed(withoutCommit),
+      missing_files: listed(missing),
+      phantom_files: listed(phantom),
+      diverged_files: listed(diverged),
+    };
+  });
+}
+
+// Helper: One-line summary of a consistency report for the log
+function summarizeConsistencyReport(report) {
+  return ['uncommitted_files', 'contributions_without_commit', 'missing_files', 'phantom_files', 'diverged_files']
+    .filter(key => report[key].count > 0)
+    .map(key => `${report[key].count} ${key.replace(/_/g, ' ')}`)
+    .join(', ') || 'no mismatches';
+}
+
+// Periodic integrity job: only logs, repairs are left to an admin
+async function runConsistencyCheck() {
+  try {
+    const report = await checkConsistency();
+    if (!report.ok) console.warn(`[CONSISTENCY] ${summarizeConsistencyReport(report)} — see GET /api/admin/consistency`);
+  } catch (e) {
+    console.error('Consistency check failed:', e.message);
+  }
+}
+
+// Helper: Apply a consistency repair. Returns details of what changed.
+//   link_commits   match contributions without a commit to theirs by subject (backfillContributionCommits)
+//   commit_files   commit out-of-band changes in world/ as they are
+//   discard_files  reset world/ to the latest commit, removing untracked files
+//   restore_files  put missing, phantom and diverged files back as their last contribution left them, and commit
+async function repairConsistency(action) {
+  if (action === 'link_commits') {
+    await withGitLock(() => {});
+    return { linked: await backfillContributionCommits({ retry: true }) };
+  }
+
+  return withWorldLock(() => withGitLock(async () => {
+    if (action === 'commit_files') {
+      const files = await getUncommittedFiles();
+      if (files.length === 0) return { committed: 0 };
+      await git.add(['-A', '.']);
+      await git.commit(`Consistency repair: commit ${files.length} out-of-band changes`);
+      return { committed: files.length };
+    }
+
+    if (action === 'discard_files') {
+      const files = await getUncommittedFiles();
+      await git.raw(['reset', '--quiet', '--hard', 'HEAD']);
+      await git.raw(['clean', '-fdq']);
+      return { discarded: files.length };
+    }
+
+    // restore_files
+    const contributed = getContributedFiles((await readPersistedState() || {}).history || []);
+    const onDisk = new Set(await liveWorld.listAll());
+    const restored = [];
+    const removed = [];
+    const skipped = [];
+    for (const [filePath, { exists, contribution }] of contributed) {
+      const fullPath = path.join(WORLD_DIR, filePath);
+      if (!exists) {
+        if (onDisk.has(filePath)) {
+          await fs.unlink(fullPath);
+          removed.push(filePath);
+        }
+        continue;
+      }
+      if (!contribution.commit) {
+        if (!onDisk.has(filePath)) skipped.push(filePath);
+        continue;
+      }
+      let content;
+      try {
+        content = await git.binaryCatFile(['blob', `${contribution.commit}:${filePath}`]);
+      } catch (e) {
+        skipped.push(filePath);
+        continue;
+      }
+      const current = onDisk.has(filePath) ? await fs.readFile(fullPath) : null;
+      if (current && gitBlobHash(current) === gitBlobHash(content)) continue;
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content);
+      restored.push(filePath);
+    }
+
+    // Commit only these files (where they now differ from HEAD); other out-of-band changes are
+    // left for commit_files or discard_files
+    const touched = new Set([...restored, ...removed]);
+    const changed = (await getUncommittedFiles()).map(f => f.path).filter(p => touched.has(p));
+    if (changed.length > 0) {
+      await git.raw(['add', '-A', '--', ...changed]);
+      await git.commit(`Consistency repair: restore ${changed.length} files to their last contributed version`, changed);
+    }
+    return { restored, removed, skipped };
+  }));
+}
+
+// Agent profile fields derived from contributions, which a rebuild recomputes from git.
+// Everything else (bio, avatar, reactions, comments, chosen specializations) is kept.
+const REBUILT_AGENT_FIELDS = [
+  'contributions', 'creates', 'edits', 'deletes', 'moves', 'fileTypeStats', 'collaborators',
+  'nightContributions', 'recentContributionTimes', 'speedDemonUnlocked', 'firstSeen', 'lastSeen',
+];
+const REBUILD_REPORT_SAMPLE = 50; // entries listed per discrepancy (counts are always complete)
+
+// Helper: Every commit on the world's HEAD, oldest first: [{ hash, date, subject, body }]
+async function getWorldCommits() {
+  const output = await git.raw(['log', '--reverse', '--format=%x1e%H%x1f%cI%x1f%s%x1f%b', 'HEAD']);
+  return output.split('\x1e').filter(chunk => chunk.trim()).map(chunk => {
+    const [hash, date, subject, body] = chunk.split('\x1f');
+    return { hash: hash.trim(), date, subject, body: (body || '').trim() };
+  });
+}
+
+// Helper: Turn a commit written by _gitCommitImpl back into a contribution plus the changes it counted
+// for agent stats. Returns null for commits not made through the API, like the initial world.
+function contributionFromCommit(commit) {
+  const parsed = parseCommitSubject(commit.subject);
+  if (!parsed) return null;
+
+  const contribution = {
+    id: uuidv4(),
+    timestamp: new Date(commit.date).toISOString(),
+    agent_name: parsed.agent_name,
+    action: parsed.action,
+    file_path: parsed.target,
+  };
+  let changes;
+  let message = commit.body;
+
+  if (parsed.action === 'changeset') {
+    // Body: one "action: path" line per operation, a blank line, then the message
+    const [operations, ...rest] = commit.body.split('\n\n');
+    changes = operations.split('\n')
+      .map(line => /^(create|edit|delete): (.+)$/.exec(line))
+      .filter(Boolean)
+      .map(match => ({ action: match[1], file_path: match[2] }));
+    if (changes.length === 0) return null;
+    contribution.file_path = changes[0].file_path;
+    contribution.changes = changes.map(change => ({ ...change }));
+    message = rest.join('\n\n');
+  } else if (parsed.action === 'move') {
+    const [fromPath, toPath] = parsed.target.split(' -> ');
+    if (!toPath) return null;
+    contribution.file_path = toPath;
+    contribution.from_path = fromPath;
+    changes = [{ action: 'move', file_path: fromPath }];
+  } else {
+    changes = [{ action: parsed.action, file_path: parsed.target }];
+  }
+
+  Object.assign(contribution, {
+    message: message === 'No message' ? '' : message,
+    reactions: { fire: [], heart: [], rocket: [], eyes: [] },
+    commentCount: 0,
+    commit: commit.hash,
+  });
+  return { contribution, changes };
+}
+
+// Helper: What a rebuild would drop from the current state (its only_in_state entries), as a sentence,
+// or null if it keeps everything
+function describeUnmatched(report) {
+  const contributionCount = report.contributions.only_in_state.count;
+  const agentCount = report.agents.only_in_state.count;
+  if (contributionCount === 0 && agentCount === 0) return null;
+  return `${contributionCount} contributions with no matching world commit and ${agentCount} agents with neither commits nor a credential would be dropped`;
+}
+
+// Helper: Rebuild history, agent stats and achievements by replaying the world git log, on top of a
+// state document. Commits that already have a contribution keep it (id, reactions, comments), and
+// agent fields git can't know are kept. Returns { state, report } without changing anything.
+async function rebuildStateFromGit(current) {
+  const commits = await getWorldCommits();
+  const existingByCommit = new Map((current.history || []).filter(c => c.commit).map(c => [c.commit, c]));
+  const rebuiltHistory = [];
+  const profiles = new Map();
+  const editorsByPath = new Map(); // path -> agent names, oldest first
+  const unattributed = [];
+  const onlyInGit = [];
+  const mismatched = [];
+
+  for (const commit of commits) {
+    const rebuilt = contributionFromCommit(commit);
+    if (!rebuilt) {
+      unattributed.push({ commit: commit.hash, subject: commit.subject });
+      continue;
+    }
+
+    const existing = existingByCommit.get(commit.hash);
+    if (existing && buildCommitMessage(existing).subject !== commit.subject) {
+      mismatched.push({ id: existing.id, commit: commit.hash, state: buildCommitMessage(existing).subject, git: commit.subject });
+    }
+    if (!existing) onlyInGit.push(commit.hash);
+    const contribution = existing || rebuilt.contribution;
+    const agentName = contribution.agent_name;
+    rebuiltHistory.push(contribution);
+
+    // Same as findLastEditor at the time: the most recent other agent to touch each file
+    const collaborators = rebuilt.changes.map(change => {
+      const editors = editorsByPath.get(change.file_path) || [];
+      for (let i = editors.length - 1; i >= 0; i--) {
+        if (editors[i] !== agentName) return editors[i];
+      }
+      return null;
+    });
+    for (const filePath of getContributionPaths(contribution)) {
+      if (!editorsByPath.has(filePath)) editorsByPath.set(filePath, []);
+      editorsByPath.get(filePath).push(agentName);
+    }
+
+    if (!profiles.has(agentName)) {
+      const profile = createAgentProfile(agentName, contribution.timestamp);
+      const previous = current.agents && current.agents[agentName];
+      for (const [field, value] of Object.entries(previous || {})) {
+        if (!REBUILT_AGENT_FIELDS.includes(field)) profile[field] = structuredClone(value);
+      }
+      profiles.set(agentName, profile);
+    }
+    applyContributionToAgent(profiles.get(agentName), rebuilt.changes, collaborators, new Date(contribution.timestamp));
+  }
+
+  // Agents with a credential keep their profile even before their first commit
+  for (const [name, previous] of Object.entries(current.agents || {})) {
+    if (profiles.has(name) || !(previous.publicKey || previous.tokenHash)) continue;
+    const profile = createAgentProfile(name, previous.firstSeen);
+    for (const [field, value] of Object.entries(previous)) {
+      if (!REBUILT_AGENT_FIELDS.includes(field)) profile[field] = structuredClone(value);
+    }
+    profiles.set(name, profile);
+  }
+
+  const agentsDoc = {};
+  const achievementsDoc = {};
+  for (const [name, profile] of profiles) {
+    achievementsDoc[name] = Object.values(ACHIEVEMENTS).filter(a => a.check(profile)).map(a => a.id);
+    agentsDoc[name] = { ...profile, collaborators: Array.from(profile.collaborators) };
+  }
+
+  // Discrepancies against the current state
+  const rebuiltCommits = new Set(rebuiltHistory.map(c => c.commit));
+  const onlyInState = (current.history || []).filter(c => !c.commit || !rebuiltCommits.has(c.commit)).map(c => c.id);
+  const currentAgents = current.agents || {};
+  const changedAgents = [];
+  const canonical = (value) => JSON.stringify(Array.isArray(value) ? [...value].sort()
+    : value && typeof value === 'object' ? Object.fromEntries(Object.entries(value).sort()) : value ?? null);
+  for (const [name, agent] of Object.entries(agentsDoc)) {
+    if (!currentAgents[name]) continue;
+    for (const field of REBUILT_AGENT_FIELDS) {
+      if (['firstSeen', 'lastSeen', 'recentContributionTimes'].includes(field)) continue;
+      const before = currentAgents[name][field];
+      if (canonical(before) !== canonical(agent[field])) {
+        changedAgents.push({ name, field, state: before ?? null, git: agent[field] ?? null });
+      }
+    }
+  }
+  const gained = [];
+  const lost = [];
+  const currentAchievements = current.agentAchievements || {};
+  for (const name of new Set([...Object.keys(achievementsDoc), ...Object.keys(currentAchievements)])) {
+    const before = currentAchievements[name] || [];
+    const after = achievementsDoc[name] || [];
+    for (const id of after) if (!before.includes(id)) gained.push({ agent: name, achievement: id });
+    for (const id of before) if (!after.includes(id)) lost.push({ agent: name, achievement: id });
   }
+
+  const listed = (items) => ({ count: items.length, items: items.slice(0, REBUILD_REPORT_SAMPLE) });
+  const report = {
+    commits: commits.length,
+    unattributed_commits: listed(unattributed),
+    contributions: {
+      rebuilt: rebuiltHistory.length,
+      matched: rebuiltHistory.length - onlyInGit.length,
+      only_in_git: listed(onlyInGit),
+      only_in_state: listed(onlyInState),
+      mismatched: listed(mismatched),
+    },
+    agents: {
+      rebuilt: profiles.size,
+      only_in_git: listed(Object.keys(agentsDoc).filter(name => !currentAgents[name])),
+      only_in_state: listed(Object.keys(currentAgents).filter(name => !agentsDoc[name])),
+      changed: listed(changedAgents),
+    },
+    achievements: { gained: listed(gained), lost: listed(lost) },
+  };
+
+  const state = {
+    ...current,
+    history: rebuiltHistory,
+    agents: agentsDoc,
+    agentAchievements: achievementsDoc,
+    schemaVersion: STATE_SCHEMA_VERSION,
+  };
+  return { state, report };
 }
 
 // Initialize world directory
@@ -2627,11 +7320,18 @@ async function init() {
   backupState().catch(console.error); // initial backup on startup
   setInterval(() => backupState().catch(console.error), BACKUP_INTERVAL_MS);
 
+  // Periodic integrity check between history, world git and the files on disk
+  setInterval(() => runConsistencyCheck(), CONSISTENCY_CHECK_INTERVAL_MS);
+
   // Cleanup expired PoW challenges every 5 minutes
   setInterval(() => {
     const now = Date.now();
-    for (const [id, challenge] of powChallenges) {
-      if (now > challenge.expiresAt) powChallenges.delete(id);
+    powChallenges.sweep(now).catch(error => console.error('Challenge sweep error:', error.message));
+    for (const [ip, times] of recentMutationsByIp) {
+      if (pruneMutationTimes(times, now).length === 0) recentMutationsByIp.delete(ip);
+    }
+    for (const [ip, times] of recentReportsByIp) {
+      if (times.every(t => now - t >= 60 * 60 * 1000)) recentReportsByIp.delete(ip);
     }
   }, POW_EXPIRY_MS);
 
@@ -2708,13 +7408,16 @@ async function init() {
       console.log('World git not available:', e2.message);
     }
   }
+
+  // Link older contributions to their commits
+  await backfillContributionCommits();
 }
 
 // Graceful shutdown — save state before exit
 async function gracefulShutdown(signal) {
   console.log(`\nReceived ${signal}, shutting down gracefully...`);
   try {
-    await _saveStateImpl();
+    await _saveStateImpl(true);
     await backupState();
     console.log('State saved and backed up.');
   } catch (e) {
@@ -2735,8 +7438,27 @@ process.on('uncaughtException', async (err) => {
   process.exit(1);
 });
 
+// CLI commands run instead of the server, e.g. "node server/index.js export ./site"
+const CLI_COMMANDS = {
+  export: runExportCommand,
+  migrate: runMigrateCommand,
+  backups: runBackupsCommand,
+  bundle: runBundleCommand,
+  rebuild: runRebuildCommand,
+};
+const cliCommand = CLI_COMMANDS[process.argv[2]];
+if (cliCommand) {
+  cliCommand(process.argv.slice(3)).then(
+    () => process.exit(0),
+    (e) => {
+      console.error(`${process.argv[2]} failed:`, e.message);
+      process.exit(1);
+    }
+  );
+}
+
 // Start server
-init().then(() => {
+if (!cliCommand) init().then(() => {
   server.listen(PORT, () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════╗